@@ -0,0 +1,253 @@
+// Helpers untuk downsampling sensor history per time bucket
+
+// Metric bawaan (kolom sensor_data), metric lain dari metric registry
+const METRICS = ['temperature', 'humidity', 'pressure', 'servo_state', 'water_state'];
+// Field reading yang bukan metric
+const NON_METRIC_FIELDS = ['id', 'device_id', 'timestamp', 'created_at', 'metrics'];
+const AGGREGATES = ['avg', 'min', 'max', 'last'];
+
+// State actuator lebih berguna sebagai nilai terakhir, sensor sebagai rata-rata
+const DEFAULT_AGGREGATES = {
+  temperature: 'avg',
+  humidity: 'avg',
+  pressure: 'avg',
+  servo_state: 'last',
+  water_state: 'last'
+};
+
+const BUCKET_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+const MAX_BUCKETS = 10000;
+
+// '5m' -> 300000, null kalau format tidak valid
+function parseBucket(bucket) {
+  const match = /^(\d+)([smhd])$/.exec(String(bucket).trim());
+  if (!match || parseInt(match[1]) === 0) {
+    return null;
+  }
+  return parseInt(match[1]) * BUCKET_UNITS[match[2]];
+}
+
+// 'max' -> semua metric max, 'temperature:max,humidity:avg' -> per metric.
+// defaults = { metric: agg } untuk metric yang tersedia (lihat metric registry)
+function parseAggregates(value, defaults = DEFAULT_AGGREGATES) {
+  const aggregates = { ...defaults };
+  if (!value) {
+    return { aggregates };
+  }
+
+  for (const part of String(value).split(',')) {
+    const [first, second] = part.split(':').map((item) => item.trim());
+
+    if (second === undefined) {
+      if (!AGGREGATES.includes(first)) {
+        return { error: `agg must be one of: ${AGGREGATES.join(', ')}` };
+      }
+      Object.keys(defaults).forEach((metric) => { aggregates[metric] = first; });
+      continue;
+    }
+
+    if (!(first in defaults)) {
+      return { error: `Unknown metric: ${first}` };
+    }
+    if (!AGGREGATES.includes(second)) {
+      return { error: `agg must be one of: ${AGGREGATES.join(', ')}` };
+    }
+    aggregates[first] = second;
+  }
+
+  return { aggregates };
+}
+
+// Nama metric yang ada di reading
+function getMetricNames(reading) {
+  return Object.keys(reading).filter((field) => !NON_METRIC_FIELDS.includes(field));
+}
+
+function toNumber(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+function aggregate(values, method) {
+  if (values.length === 0) return null;
+
+  switch (method) {
+    case 'min':
+      return values.reduce((min, value) => (value < min ? value : min));
+    case 'max':
+      return values.reduce((max, value) => (value > max ? value : max));
+    case 'last':
+      return values[values.length - 1];
+    default:
+      return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+}
+
+// Group readings (sorted ascending by timestamp) into buckets of bucketMs
+function aggregateReadings(readings, { bucketMs, aggregates = DEFAULT_AGGREGATES }) {
+  const buckets = new Map();
+
+  for (const reading of readings) {
+    const time = new Date(reading.timestamp).getTime();
+    const start = Math.floor(time / bucketMs) * bucketMs;
+
+    if (!buckets.has(start)) {
+      buckets.set(start, []);
+    }
+    buckets.get(start).push(reading);
+  }
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, items]) => {
+      const point = {
+        bucket_start: new Date(start).toISOString(),
+        bucket_end: new Date(start + bucketMs).toISOString(),
+        count: items.length
+      };
+
+      for (const metric of Object.keys(aggregates)) {
+        const values = items
+          .map((item) => toNumber(item[metric]))
+          .filter((value) => value !== null);
+        point[metric] = aggregate(values, aggregates[metric]);
+      }
+
+      return point;
+    });
+}
+
+// ==================== ROLLUPS ====================
+// Rollup = statistik per metric untuk satu device dalam satu bucket:
+// { count, metrics: { temperature: { min, max, avg, count, last, last_at }, ... } }
+// Disimpan oleh retention job, dan bisa digabung lagi ke bucket yang lebih besar.
+
+// Rollup readings (sorted ascending) per device per bucket
+function rollupReadings(readings, bucketMs) {
+  const rollups = new Map();
+
+  for (const reading of readings) {
+    const time = new Date(reading.timestamp).getTime();
+    const start = Math.floor(time / bucketMs) * bucketMs;
+    const key = `${reading.device_id}|${start}`;
+
+    if (!rollups.has(key)) {
+      rollups.set(key, {
+        device_id: reading.device_id,
+        bucket_start: new Date(start).toISOString(),
+        sample_count: 0,
+        metrics: {}
+      });
+    }
+
+    const rollup = rollups.get(key);
+    rollup.sample_count += 1;
+
+    for (const metric of getMetricNames(reading)) {
+      const value = toNumber(reading[metric]);
+      if (value === null) continue;
+
+      const stats = rollup.metrics[metric];
+      if (!stats) {
+        rollup.metrics[metric] = { min: value, max: value, avg: value, count: 1, last: value, last_at: reading.timestamp };
+        continue;
+      }
+      stats.min = Math.min(stats.min, value);
+      stats.max = Math.max(stats.max, value);
+      stats.avg = (stats.avg * stats.count + value) / (stats.count + 1);
+      stats.count += 1;
+      stats.last = value;
+      stats.last_at = reading.timestamp;
+    }
+  }
+
+  return [...rollups.values()];
+}
+
+// Gabung beberapa rollup (device/bucket berbeda) jadi satu
+function mergeRollups(rollups, extra = {}) {
+  const merged = { ...extra, sample_count: 0, metrics: {} };
+
+  for (const rollup of rollups) {
+    merged.sample_count += rollup.sample_count || 0;
+
+    for (const [metric, stats] of Object.entries(rollup.metrics || {})) {
+      const current = merged.metrics[metric];
+      if (!current) {
+        merged.metrics[metric] = { ...stats };
+        continue;
+      }
+      current.min = Math.min(current.min, stats.min);
+      current.max = Math.max(current.max, stats.max);
+      current.avg = (current.avg * current.count + stats.avg * stats.count) / (current.count + stats.count);
+      current.count += stats.count;
+      if (new Date(stats.last_at) >= new Date(current.last_at)) {
+        current.last = stats.last;
+        current.last_at = stats.last_at;
+      }
+    }
+  }
+
+  return merged;
+}
+
+// Sama seperti aggregateReadings, tapi dari rollup (hourly/daily + raw).
+// rollup.bucket_ms = panjang bucket rollup itu sendiri, rollup harian di bucket
+// 1h tetap mencakup 24 jam. Rollup yang mulai sebelum from (ms) ikut dihitung
+// utuh, bucket-nya ditandai partial: true.
+function aggregateRollups(rollups, { bucketMs, aggregates = DEFAULT_AGGREGATES, from = null }) {
+  const buckets = new Map();
+
+  for (const rollup of rollups) {
+    const start = Math.floor(new Date(rollup.bucket_start).getTime() / bucketMs) * bucketMs;
+    if (!buckets.has(start)) {
+      buckets.set(start, []);
+    }
+    buckets.get(start).push(rollup);
+  }
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, items]) => {
+      const merged = mergeRollups(items);
+      const end = items.reduce(
+        (max, item) => Math.max(max, new Date(item.bucket_start).getTime() + (item.bucket_ms || 0)),
+        start + bucketMs
+      );
+      const point = {
+        bucket_start: new Date(start).toISOString(),
+        bucket_end: new Date(end).toISOString(),
+        count: merged.sample_count,
+        partial: from !== null && items.some((item) => new Date(item.bucket_start).getTime() < from)
+      };
+
+      for (const metric of Object.keys(aggregates)) {
+        const stats = merged.metrics[metric];
+        point[metric] = stats ? stats[aggregates[metric]] : null;
+      }
+
+      return point;
+    });
+}
+
+module.exports = {
+  METRICS,
+  AGGREGATES,
+  DEFAULT_AGGREGATES,
+  MAX_BUCKETS,
+  parseBucket,
+  parseAggregates,
+  getMetricNames,
+  aggregateReadings,
+  rollupReadings,
+  mergeRollups,
+  aggregateRollups
+};
@@ -0,0 +1,331 @@
+const {
+  getAlertThresholds,
+  getAlertThresholdById,
+  updateAlertThreshold,
+  getAlerts,
+  getActiveAlert,
+  createAlert,
+  updateAlert
+} = require('./database');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'alerts' });
+
+// Alerting untuk threshold sensor dan device yang offline.
+//
+// Threshold:
+// {
+//   name, device_id (null = semua device), enabled,
+//   metric: 'temperature', operator: '>', value: 45,
+//   severity: 'info' | 'warning' | 'critical',
+//   duration_seconds: 300,   // kondisi harus bertahan sekian lama sebelum alert dibuka
+//   renotify_minutes: 60,    // kirim ulang selama alert masih open (0 = tidak)
+//   channels: ['webhook', 'email', 'mqtt']   // null = semua channel aktif
+// }
+//
+// Satu alert per dedup_key (threshold + device, atau offline + device) selama
+// belum resolved. Status: open -> acknowledged -> resolved.
+
+const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+const OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold
+};
+
+const ALERT_INTERVAL_MS = parseInt(process.env.ALERT_INTERVAL_MS) || 60000;
+const STATE_UPDATE_ATTEMPTS = 5;
+const OFFLINE_SEVERITY = process.env.ALERT_OFFLINE_SEVERITY || 'critical';
+const OFFLINE_RENOTIFY_MINUTES = process.env.ALERT_OFFLINE_RENOTIFY_MINUTES !== undefined
+  ? parseInt(process.env.ALERT_OFFLINE_RENOTIFY_MINUTES)
+  : 60;
+
+// Validate threshold body from the API. partial=true untuk PATCH, metrics =
+// nama metric yang boleh dipakai (lihat getMetricNames di metric-registry)
+function validateThreshold(input, { partial = false, metrics = [] } = {}) {
+  const threshold = {};
+
+  if (input.name !== undefined || !partial) {
+    if (!input.name || typeof input.name !== 'string') {
+      return { error: 'name is required' };
+    }
+    threshold.name = input.name;
+  }
+  if (input.device_id !== undefined) {
+    threshold.device_id = input.device_id || null;
+  } else if (!partial) {
+    threshold.device_id = null;
+  }
+  if (input.enabled !== undefined || !partial) {
+    threshold.enabled = input.enabled !== false;
+  }
+  if (input.metric !== undefined || !partial) {
+    if (!metrics.includes(input.metric)) {
+      return { error: `metric must be one of: ${metrics.join(', ')}` };
+    }
+    threshold.metric = input.metric;
+  }
+  if (input.operator !== undefined || !partial) {
+    if (!OPERATORS[input.operator]) {
+      return { error: `operator must be one of: ${Object.keys(OPERATORS).join(' ')}` };
+    }
+    threshold.operator = input.operator;
+  }
+  if (input.value !== undefined || !partial) {
+    if (typeof input.value !== 'number') {
+      return { error: 'value must be a number' };
+    }
+    threshold.value = input.value;
+  }
+  if (input.severity !== undefined || !partial) {
+    const severity = input.severity || 'warning';
+    if (!ALERT_SEVERITIES.includes(severity)) {
+      return { error: `severity must be one of: ${ALERT_SEVERITIES.join(', ')}` };
+    }
+    threshold.severity = severity;
+  }
+  for (const [field, fallback] of [['duration_seconds', 0], ['renotify_minutes', 60]]) {
+    if (input[field] !== undefined || !partial) {
+      const value = input[field] === undefined ? fallback : input[field];
+      if (typeof value !== 'number' || value < 0) {
+        return { error: `${field} must be a non-negative number` };
+      }
+      threshold[field] = value;
+    }
+  }
+  if (input.channels !== undefined) {
+    if (input.channels !== null && (!Array.isArray(input.channels) || input.channels.some((channel) => typeof channel !== 'string'))) {
+      return { error: 'channels must be an array of channel names or null' };
+    }
+    threshold.channels = input.channels;
+  } else if (!partial) {
+    threshold.channels = null;
+  }
+
+  return { threshold };
+}
+
+class AlertManager {
+  constructor(channels = {}, { intervalMs = ALERT_INTERVAL_MS } = {}) {
+    this.channels = channels;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+  }
+
+  // Alert offline/online dari device events (watchdog atau status topic)
+  listen(eventStream) {
+    eventStream.on('event', (event) => {
+      if (event.type !== 'device' || typeof event.data.is_online !== 'boolean') {
+        return;
+      }
+      this.handleDeviceStatus(event.device_id, event.data.is_online).catch((error) => {
+        log.error('Error handling device alert', { device_id: event.device_id, err: error });
+      });
+    });
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    log.info('Alert manager started', { interval_seconds: this.intervalMs / 1000 });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async notify(alert, kind) {
+    const names = alert.channels || Object.keys(this.channels);
+    const results = {};
+
+    for (const name of names) {
+      const channel = this.channels[name];
+      if (!channel) {
+        results[name] = 'not configured';
+        continue;
+      }
+
+      try {
+        await channel.send({ kind, alert });
+        results[name] = 'sent';
+      } catch (error) {
+        results[name] = `error: ${error.message}`;
+        log.error('Alert notification failed', { channel: name, alert_id: alert.alert_id, err: error });
+      }
+    }
+
+    return updateAlert(alert.alert_id, {
+      last_notified_at: new Date().toISOString(),
+      notify_count: (alert.notify_count || 0) + 1,
+      last_notification: { kind, results }
+    });
+  }
+
+  async open(dedupKey, data) {
+    const active = await getActiveAlert(dedupKey);
+    if (active) {
+      return this.renotifyIfDue(active);
+    }
+
+    const alert = await createAlert({ ...data, dedup_key: dedupKey });
+    log.warn('Alert opened', { alert_id: alert.alert_id, device_id: alert.device_id, severity: alert.severity, message: alert.message });
+    return this.notify(alert, 'opened');
+  }
+
+  async resolve(dedupKey) {
+    const active = await getActiveAlert(dedupKey);
+    if (!active) {
+      return null;
+    }
+
+    const alert = await updateAlert(active.alert_id, {
+      status: 'resolved',
+      resolved_at: new Date().toISOString()
+    });
+    log.info('Alert resolved', { alert_id: alert.alert_id, device_id: alert.device_id, message: alert.message });
+    return this.notify(alert, 'resolved');
+  }
+
+  // Alert yang sudah di-acknowledge tidak dikirim ulang
+  async renotifyIfDue(alert, now = Date.now()) {
+    if (alert.status !== 'open' || !alert.renotify_minutes) {
+      return alert;
+    }
+
+    const lastNotified = alert.last_notified_at ? new Date(alert.last_notified_at).getTime() : 0;
+    if (now - lastNotified < alert.renotify_minutes * 60 * 1000) {
+      return alert;
+    }
+    return this.notify(alert, 'renotify');
+  }
+
+  // Buka alert threshold kalau breach sudah bertahan duration_seconds
+  async openIfDue(threshold, reading, breachSince, now) {
+    if (now - new Date(breachSince) < (threshold.duration_seconds || 0) * 1000) {
+      return null;
+    }
+
+    const value = reading[threshold.metric];
+    return this.open(`threshold:${threshold.threshold_id}:${reading.device_id}`, {
+      type: 'threshold',
+      threshold_id: threshold.threshold_id,
+      device_id: reading.device_id,
+      severity: threshold.severity,
+      message: `${threshold.name}: ${threshold.metric} ${value} ${threshold.operator} ${threshold.value}`,
+      value,
+      renotify_minutes: threshold.renotify_minutes,
+      channels: threshold.channels
+    });
+  }
+
+  // State per device (breach_since) disimpan dengan conditional update pada
+  // state_version, seperti state rule di automation-engine. Kalau kalah dari
+  // reading lain, baca ulang threshold dan evaluasi lagi.
+  async evaluateThreshold(initialThreshold, reading, now = new Date()) {
+    let threshold = initialThreshold;
+
+    for (let attempt = 0; attempt < STATE_UPDATE_ATTEMPTS; attempt++) {
+      const value = reading[threshold.metric];
+      if (typeof value !== 'number') {
+        return null;
+      }
+
+      const state = threshold.state || {};
+      const deviceState = state[reading.device_id] || {};
+      const version = threshold.state_version === undefined ? null : threshold.state_version;
+      const expected = { state_version: version };
+      const nextVersion = (version || 0) + 1;
+
+      if (!OPERATORS[threshold.operator](value, threshold.value)) {
+        const cleared = !deviceState.breach_since || await updateAlertThreshold(threshold.threshold_id, {
+          state: { ...state, [reading.device_id]: {} },
+          state_version: nextVersion
+        }, expected);
+        if (cleared) {
+          return this.resolve(`threshold:${threshold.threshold_id}:${reading.device_id}`);
+        }
+      } else if (deviceState.breach_since) {
+        return this.openIfDue(threshold, reading, deviceState.breach_since, now);
+      } else {
+        const breachSince = now.toISOString();
+        const updated = await updateAlertThreshold(threshold.threshold_id, {
+          state: { ...state, [reading.device_id]: { breach_since: breachSince } },
+          state_version: nextVersion
+        }, expected);
+        if (updated) {
+          return this.openIfDue(threshold, reading, breachSince, now);
+        }
+      }
+
+      // State diubah reading lain (atau threshold di-update) sejak dibaca
+      threshold = await getAlertThresholdById(threshold.threshold_id);
+      if (!threshold || !threshold.enabled) {
+        return null;
+      }
+    }
+
+    log.warn('Alert threshold state update kept conflicting, reading skipped', { threshold_id: initialThreshold.threshold_id, device_id: reading.device_id });
+    return null;
+  }
+
+  async evaluateReading(reading) {
+    const thresholds = await getAlertThresholds({ device_id: reading.device_id, enabled: true });
+    const now = new Date();
+
+    for (const threshold of thresholds) {
+      try {
+        await this.evaluateThreshold(threshold, reading, now);
+      } catch (error) {
+        log.error('Error evaluating alert threshold', { threshold_id: threshold.threshold_id, device_id: reading.device_id, err: error });
+      }
+    }
+  }
+
+  async handleDeviceStatus(deviceId, isOnline) {
+    const dedupKey = `offline:${deviceId}`;
+
+    if (isOnline) {
+      return this.resolve(dedupKey);
+    }
+
+    return this.open(dedupKey, {
+      type: 'device_offline',
+      device_id: deviceId,
+      severity: OFFLINE_SEVERITY,
+      message: 'Device went silent (offline)',
+      value: null,
+      renotify_minutes: OFFLINE_RENOTIFY_MINUTES,
+      channels: null
+    });
+  }
+
+  // Kirim ulang notifikasi untuk alert yang masih open
+  async tick() {
+    let renotified = 0;
+
+    try {
+      const alerts = await getAlerts({ status: 'open', limit: 1000 });
+      for (const alert of alerts) {
+        const updated = await this.renotifyIfDue(alert);
+        if (updated !== alert) renotified++;
+      }
+    } catch (error) {
+      log.error('Alert tick failed', { err: error });
+    }
+
+    return { renotified };
+  }
+}
+
+module.exports = {
+  AlertManager,
+  validateThreshold,
+  ALERT_SEVERITIES,
+  ALERT_STATUSES
+};
@@ -0,0 +1,1958 @@
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const { 
+  useStorage, 
+  getStorage,
+  getLatestSensorData, 
+  getSensorHistory, 
+  RETENTION,
+  getRollupWatermark,
+  getDevices,
+  getAllDevicesLatestData,
+  getCommandById,
+  getCommands,
+  COMMAND_STATUSES,
+  COMMAND_TYPES,
+  COMMAND_SOURCES,
+  getRules,
+  getRuleById,
+  createRule,
+  updateRule,
+  deleteRule,
+  getRuleExecutions,
+  getSchedules,
+  getScheduleById,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  getScheduleExecutions,
+  getDeviceEvents,
+  getDeviceAvailability,
+  getDeviceShadow,
+  getGroups,
+  getGroupById,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  getCommandBatches,
+  getCommandBatchById,
+  getIngestErrors,
+  getIngestErrorCounts,
+  getDeviceById,
+  createDevice,
+  updateDevice,
+  deleteDevice,
+  getMetricDefinitions,
+  getMetricDefinitionById,
+  createMetricDefinition,
+  updateMetricDefinition,
+  deleteMetricDefinition,
+  getAlertThresholds,
+  getAlertThresholdById,
+  createAlertThreshold,
+  updateAlertThreshold,
+  deleteAlertThreshold,
+  getAlerts,
+  getAlertById,
+  updateAlert,
+  createDeviceToken,
+  getDeviceTokens,
+  revokeDeviceTokens
+} = require('./database');
+const { parseBucket, parseAggregates, MAX_BUCKETS } = require('./aggregation');
+const { sseHandler } = require('./event-stream');
+const { validateRule } = require('./automation-engine');
+const { Scheduler, validateSchedule, computeNextRun } = require('./scheduler');
+const { DeviceWatchdog, getReadingAge } = require('./device-watchdog');
+const { RetentionJob } = require('./retention');
+const { ERROR_REASONS, SensorValidationError } = require('./sensor-schema');
+const { ingestReadings } = require('./ingest');
+const { CONTENT_TYPE, httpMetrics, setSensorGauges, renderMetrics } = require('./metrics');
+const { requestLogging } = require('./logger');
+const {
+  authorize,
+  authorizeCron,
+  authorizeDevice,
+  authorizeWebhook,
+  authorizeMetrics,
+  canAccessDevice,
+  deviceScopeFilter,
+  filterByDevice,
+  getCorsOptions
+} = require('./auth');
+const { validateDevice, DEVICE_STATUSES } = require('./device-registry');
+const { CommandRejectedError } = require('./errors');
+const { formatShadow } = require('./device-shadow');
+const { validateGroup, sendGroupCommand, summarizeReadings, BATCH_STATUSES } = require('./device-groups');
+const { validateThreshold, ALERT_STATUSES, ALERT_SEVERITIES } = require('./alert-manager');
+const {
+  validateMetricDefinition,
+  invalidateMetricCache,
+  getMetricsForType,
+  getMetricsForDevices,
+  getMetricNames,
+  getDefaultAggregates
+} = require('./metric-registry');
+
+// Express app bersama untuk server.js (long-running) dan api/index.js (Vercel).
+// Semua dependency di-inject supaya kedua deployment punya route yang sama,
+// dan API bisa dijalankan in-process (memory storage + broker lokal):
+//
+//   createApp({
+//     storage,   // storage adapter (lihat storage/index.js), default dari env
+//     mqtt,      // MqttHandler, null = route control/alert/schedule 503
+//     config: {
+//       deployment: 'server' | 'vercel',   // ditampilkan di health check
+//       staticDir                          // default ./public, null = tanpa static files
+//     }
+//   })
+//
+// Scheduler, watchdog dan retention job ada di app.locals.services, start()
+// dipanggil oleh entry point yang jalan terus (server.js).
+//
+// storage dipasang ke database.js (module-level), jadi satu process hanya
+// punya satu storage aktif.
+
+// Parse command history filters from query string
+function parseCommandFilters(query) {
+  const filters = {};
+
+  if (query.type) {
+    if (!COMMAND_TYPES.includes(query.type)) {
+      return { error: `type must be one of: ${COMMAND_TYPES.join(', ')}` };
+    }
+    filters.type = query.type;
+  }
+  if (query.status) {
+    if (!COMMAND_STATUSES.includes(query.status)) {
+      return { error: `status must be one of: ${COMMAND_STATUSES.join(', ')}` };
+    }
+    filters.status = query.status;
+  }
+  if (query.source) {
+    if (!COMMAND_SOURCES.includes(query.source)) {
+      return { error: `source must be one of: ${COMMAND_SOURCES.join(', ')}` };
+    }
+    filters.source = query.source;
+  }
+  if (query.command_by) {
+    filters.command_by = query.command_by;
+  }
+  if (query.batch_id) {
+    filters.batch_id = query.batch_id;
+  }
+  if (query.device_id) {
+    filters.device_id = query.device_id;
+  }
+  for (const field of ['from', 'to']) {
+    if (query[field]) {
+      const date = new Date(query[field]);
+      if (isNaN(date.getTime())) {
+        return { error: `${field} must be a valid timestamp` };
+      }
+      filters[field] = date.toISOString();
+    }
+  }
+  filters.limit = Math.min(parseInt(query.limit) || 100, 1000);
+
+  return { filters };
+}
+
+// Validate optional ttl_seconds (berapa lama command boleh antri saat MQTT putus)
+function parseCommandTtl(body) {
+  if (body.ttl_seconds === undefined) {
+    return { ttlSeconds: undefined };
+  }
+
+  const ttlSeconds = Number(body.ttl_seconds);
+  if (!Number.isFinite(ttlSeconds) || ttlSeconds <= 0) {
+    return { error: 'ttl_seconds must be a positive number' };
+  }
+
+  return { ttlSeconds };
+}
+
+// Parse history query: limit, from, to, bucket (5m, 1h, 1d) dan agg.
+// metrics = metric registry device yang diminta
+function parseHistoryOptions(query, metrics) {
+  const options = { limit: parseInt(query.limit) || 50 };
+
+  for (const field of ['from', 'to']) {
+    if (query[field]) {
+      const date = new Date(query[field]);
+      if (isNaN(date.getTime())) {
+        return { error: `${field} must be a valid timestamp` };
+      }
+      options[field] = date.toISOString();
+    }
+  }
+
+  if (!query.bucket) {
+    return { options };
+  }
+
+  const bucketMs = parseBucket(query.bucket);
+  if (!bucketMs) {
+    return { error: 'bucket must look like 30s, 5m, 1h or 1d' };
+  }
+
+  const { aggregates, error } = parseAggregates(query.agg, getDefaultAggregates(metrics));
+  if (error) {
+    return { error };
+  }
+
+  // Default range untuk data yang di-bucket: 24 jam terakhir
+  const to = options.to ? new Date(options.to) : new Date();
+  const from = options.from ? new Date(options.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+  if ((to - from) / bucketMs > MAX_BUCKETS) {
+    return { error: `Too many buckets, use a larger bucket (max ${MAX_BUCKETS})` };
+  }
+
+  return {
+    options: {
+      ...options,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      bucket: query.bucket,
+      bucketMs,
+      aggregates
+    }
+  };
+}
+
+// HTTP status untuk hasil group command
+const BATCH_HTTP_STATUS = {
+  published: 200,
+  queued: 202,
+  partial: 207,
+  rejected: 409,
+  failed: 502
+};
+
+// Semua member harus terdaftar di registry
+async function findUnknownDevices(deviceIds) {
+  const devices = await Promise.all(deviceIds.map((deviceId) => getDeviceById(deviceId)));
+  return deviceIds.filter((deviceId, index) => !devices[index]);
+}
+
+// Member group yang tidak bisa diakses caller
+function findDeniedDevices(identity, deviceIds) {
+  return deviceIds.filter((deviceId) => !canAccessDevice(identity, deviceId));
+}
+
+// Group untuk response: device_ids hanya yang bisa diakses caller
+function scopeGroup(identity, group) {
+  return { ...group, device_ids: group.device_ids.filter((deviceId) => canAccessDevice(identity, deviceId)) };
+}
+
+// Rule terlihat kalau device-nya dan semua target action bisa diakses. Rule
+// global (device_id null) terlihat oleh semua caller, tapi hanya bisa dibuat
+// atau diubah (manage) caller tanpa batas device.
+function canAccessRule(identity, rule, { manage = false } = {}) {
+  if ((rule.device_id || manage) && !canAccessDevice(identity, rule.device_id)) {
+    return false;
+  }
+  return (rule.actions || []).every((action) => !action.device_id || canAccessDevice(identity, action.device_id));
+}
+
+function createApp({ storage = null, mqtt = null, config = {} } = {}) {
+  if (storage) {
+    useStorage(storage);
+  }
+
+  const { deployment = 'server', staticDir = path.join(__dirname, 'public') } = config;
+  const mqttHandler = mqtt;
+  const scheduler = mqttHandler ? new Scheduler(mqttHandler) : null;
+  const watchdog = new DeviceWatchdog();
+  const retention = new RetentionJob();
+
+  const app = express();
+  app.locals.services = { mqttHandler, scheduler, watchdog, retention };
+
+  // Middleware
+  app.use(httpMetrics());
+  // req.id (X-Request-Id) + req.log, request id ikut ke command yang dibuat request ini
+  app.use(requestLogging());
+  app.use(cors(getCorsOptions()));
+  app.use(express.json());
+  if (staticDir) {
+    app.use(express.static(staticDir));
+  }
+
+  // ==================== API ROUTES ====================
+
+  // Health check
+  app.get('/', (req, res) => {
+    const mqttStatus = mqttHandler ? mqttHandler.getStatus() : { isConnected: false };
+
+    res.json({
+      message: '🚀 IoT Backend is Running!',
+      status: 'active',
+      deployment: deployment,
+      storage: getStorage().name,
+      timestamp: new Date().toISOString(),
+      mqtt: mqttStatus,
+      endpoints: {
+        devices: '/api/devices',
+        device: '/api/devices/:deviceId',
+        data: '/api/data',
+        history: '/api/history/:deviceId',
+        control: {
+          servo: '/api/control/servo',
+          water: '/api/control/water'
+        },
+        commands: '/api/commands',
+        command: '/api/commands/:id',
+        deviceCommands: '/api/devices/:deviceId/commands',
+        stream: '/api/stream',
+        rules: '/api/rules',
+        schedules: '/api/schedules',
+        deviceEvents: '/api/devices/:deviceId/events',
+        availability: '/api/devices/:deviceId/availability',
+        state: '/api/devices/:deviceId/state',
+        retention: '/api/retention',
+        metricDefinitions: '/api/metric-definitions',
+        groups: '/api/groups',
+        ingest: '/api/ingest',
+        mqttWebhook: '/api/mqtt/webhook',
+        deviceTokens: '/api/devices/:deviceId/tokens',
+        ingestErrors: '/api/ingest/errors',
+        alerts: '/api/alerts',
+        metrics: '/metrics'
+      }
+    });
+  });
+
+  // Get all devices
+  app.get('/api/devices', authorize('viewer'), async (req, res) => {
+    try {
+      if (req.query.status && !DEVICE_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `status must be one of: ${DEVICE_STATUSES.join(', ')}` });
+      }
+
+      const devices = filterByDevice(req.auth, await getDevices({ status: req.query.status }));
+      res.json({
+        devices: devices,
+        count: devices.length,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get device registry entry
+  app.get('/api/devices/:deviceId', authorize('viewer', { device: true }), async (req, res) => {
+    try {
+      const device = await getDeviceById(req.params.deviceId);
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+
+      res.json({
+        device: device,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Register device
+  app.post('/api/devices/:deviceId', authorize('admin', { device: true }), async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const { device, error } = validateDevice(req.body || {});
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      if (await getDeviceById(deviceId)) {
+        return res.status(409).json({ error: 'Device already registered, use PATCH to update' });
+      }
+
+      const created = await createDevice({
+        device_name: deviceId,
+        ...device,
+        device_id: deviceId
+      });
+      res.status(201).json({
+        device: created,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Update device metadata/capabilities
+  app.patch('/api/devices/:deviceId', authorize('admin', { device: true }), async (req, res) => {
+    try {
+      const { device, error } = validateDevice(req.body || {}, { partial: true });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const updated = await updateDevice(req.params.deviceId, device);
+      if (!updated) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+
+      res.json({
+        device: updated,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Approve pending device
+  app.post('/api/devices/:deviceId/approve', authorize('admin', { device: true }), async (req, res) => {
+    try {
+      const updated = await updateDevice(req.params.deviceId, { status: 'approved' });
+      if (!updated) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+
+      res.json({
+        device: updated,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete device from registry
+  app.delete('/api/devices/:deviceId', authorize('admin', { device: true }), async (req, res) => {
+    try {
+      const deleted = await deleteDevice(req.params.deviceId);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+
+      res.json({ status: 'success' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Buat device token untuk POST /api/ingest, token hanya dikembalikan sekali
+  app.post('/api/devices/:deviceId/tokens', authorize('admin', { device: true }), async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const name = req.body && req.body.name !== undefined ? req.body.name : null;
+      if (name !== null && typeof name !== 'string') {
+        return res.status(400).json({ error: 'name must be a string' });
+      }
+      if (!(await getDeviceById(deviceId))) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+
+      const token = await createDeviceToken(deviceId, { createdBy: req.auth.id, name });
+      res.status(201).json({
+        token: token,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // List device token (tanpa token asli)
+  app.get('/api/devices/:deviceId/tokens', authorize('admin', { device: true }), async (req, res) => {
+    try {
+      const tokens = await getDeviceTokens(req.params.deviceId);
+      res.json({
+        tokens: tokens,
+        count: tokens.length,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Revoke semua token device
+  app.delete('/api/devices/:deviceId/tokens', authorize('admin', { device: true }), async (req, res) => {
+    try {
+      const revoked = await revokeDeviceTokens(req.params.deviceId);
+      res.json({
+        revoked: revoked,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Revoke satu token
+  app.delete('/api/devices/:deviceId/tokens/:tokenId', authorize('admin', { device: true }), async (req, res) => {
+    try {
+      const revoked = await revokeDeviceTokens(req.params.deviceId, req.params.tokenId);
+      if (revoked === 0) {
+        return res.status(404).json({ error: 'Token not found' });
+      }
+      res.json({
+        revoked: revoked,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get device online/offline events
+  app.get('/api/devices/:deviceId/events', authorize('viewer', { device: true }), async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+      const events = await getDeviceEvents(deviceId, { limit });
+      res.json({
+        device_id: deviceId,
+        events: events,
+        count: events.length,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get device uptime/availability (default: 24 jam terakhir)
+  app.get('/api/devices/:deviceId/availability', authorize('viewer', { device: true }), async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+      if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+        return res.status(400).json({ error: 'from and to must be valid timestamps with from before to' });
+      }
+
+      const availability = await getDeviceAvailability(deviceId, {
+        from: from.toISOString(),
+        to: to.toISOString()
+      });
+      if (!availability) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+
+      res.json({
+        availability: availability,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Device shadow: desired vs reported actuator state, delta dan waktu sync terakhir
+  app.get('/api/devices/:deviceId/state', authorize('viewer', { device: true }), async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const device = await getDeviceById(deviceId);
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+
+      res.json({
+        state: formatShadow(deviceId, await getDeviceShadow(deviceId)),
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Cek device yang sudah tidak lapor (dipanggil Vercel cron)
+  app.all('/api/watchdog/run', authorizeCron(), async (req, res) => {
+    try {
+      const markedOffline = await watchdog.check();
+      res.json({
+        marked_offline: markedOffline,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Rollup + hapus sensor data yang lewat retention (dipanggil Vercel cron)
+  app.all('/api/retention/run', authorizeCron(), async (req, res) => {
+    try {
+      const result = await retention.run();
+      if (!result) {
+        return res.status(409).json({ error: 'Retention run already in progress' });
+      }
+      res.json({
+        ...result,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Retention policy dan sampai mana rollup sudah dihitung
+  app.get('/api/retention', authorize('admin'), async (req, res) => {
+    try {
+      const [hourlyUntil, dailyUntil] = await Promise.all([
+        getRollupWatermark('hour'),
+        getRollupWatermark('day')
+      ]);
+      res.json({
+        policy: RETENTION,
+        hourly_rollup_until: hourlyUntil ? new Date(hourlyUntil).toISOString() : null,
+        daily_rollup_until: dailyUntil ? new Date(dailyUntil).toISOString() : null,
+        last_run: retention.lastRun,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get latest sensor data
+  app.get('/api/data', authorize('viewer', { device: true }), async (req, res) => {
+    try {
+      const deviceId = req.query.device_id;
+      let data;
+
+      // Dengan umur reading dan stale (lebih tua dari batas offline device)
+      if (deviceId) {
+        const [reading, device] = await Promise.all([getLatestSensorData(deviceId), getDeviceById(deviceId)]);
+        data = reading ? { ...reading, ...getReadingAge(reading, device) } : reading;
+      } else {
+        const [readings, devices] = await Promise.all([getAllDevicesLatestData(), getDevices()]);
+        const devicesById = new Map(devices.map((device) => [device.device_id, device]));
+        data = filterByDevice(req.auth, readings).map((reading) => ({
+          ...reading,
+          ...getReadingAge(reading, devicesById.get(reading.device_id))
+        }));
+      }
+
+      res.json({
+        data: data,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get sensor history
+  app.get('/api/history/:deviceId', authorize('viewer', { device: true }), async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const metrics = await getMetricsForDevices([deviceId]);
+      const { options, error } = parseHistoryOptions(req.query, metrics);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const history = await getSensorHistory(deviceId, options);
+      res.json({
+        device_id: deviceId,
+        metrics: metrics.map(({ name, unit, type }) => ({ name, unit, type })),
+        from: options.from || null,
+        to: options.to || null,
+        bucket: options.bucket || null,
+        aggregates: options.aggregates || null,
+        history: history,
+        count: history.length,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Ingest reading lewat HTTP (gateway / device tanpa MQTT). Body: satu reading,
+  // array reading, atau { device_id, readings: [...] }. Timestamp device dipakai
+  // kalau masih dalam clock-skew window, reading yang sudah ada dilewati.
+  app.post('/api/ingest', authorizeDevice(), async (req, res) => {
+    try {
+      const body = req.body;
+      let readings;
+      if (Array.isArray(body)) {
+        readings = body;
+      } else if (body && Array.isArray(body.readings)) {
+        readings = body.readings;
+      } else if (body && typeof body === 'object' && Object.keys(body).length > 0) {
+        readings = [body];
+      } else {
+        return res.status(400).json({ error: 'Body must be a reading, an array of readings or { device_id, readings }' });
+      }
+
+      // Device token selalu untuk device pemiliknya
+      const first = readings.find((reading) => reading && reading.device_id);
+      const deviceId = req.auth.method === 'device_token'
+        ? req.auth.devices[0]
+        : (body && body.device_id) || (first && String(first.device_id)) || null;
+      if (!deviceId) {
+        return res.status(400).json({ error: 'device_id is required' });
+      }
+      if (!canAccessDevice(req.auth, deviceId)) {
+        return res.status(403).json({ error: `No access to device ${deviceId}` });
+      }
+
+      const result = await ingestReadings(mqttHandler, deviceId, readings, { correlationId: req.id });
+      const status = result.accepted === 0 && result.duplicates === 0 ? 422 : 200;
+      res.status(status).json({
+        device_id: deviceId,
+        ...result,
+        status: status === 200 ? 'success' : 'rejected'
+      });
+    } catch (error) {
+      if (error instanceof SensorValidationError) {
+        return res.status(error.reason === 'batch_too_large' ? 413 : 400).json({ error: error.message, reason: error.reason });
+      }
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // MQTT bridge webhook (serverless mode): bridge/broker meneruskan message
+  // sensor data, status dan ack sebagai { topic, payload, encoding } atau array.
+  // payload string dipakai apa adanya, object di-JSON-kan, encoding 'base64' di-decode.
+  app.post('/api/mqtt/webhook', authorizeWebhook(), async (req, res) => {
+    try {
+      if (!mqttHandler || mqttHandler.mode !== 'serverless') {
+        return res.status(409).json({ error: 'MQTT webhook is only used in serverless mode' });
+      }
+
+      const messages = Array.isArray(req.body) ? req.body : [req.body];
+      if (messages.length === 0 || messages.some((message) => !message || typeof message.topic !== 'string' || message.payload === undefined)) {
+        return res.status(400).json({ error: 'Each message needs a topic and a payload' });
+      }
+
+      let processed = 0;
+      const ignored = [];
+      for (const message of messages) {
+        let payload = message.payload;
+        if (message.encoding === 'base64') {
+          payload = Buffer.from(String(payload), 'base64').toString('utf8');
+        } else if (typeof payload !== 'string') {
+          payload = JSON.stringify(payload);
+        }
+
+        if (await mqttHandler.handleMessage(message.topic, payload, { requestId: req.id })) {
+          processed += 1;
+        } else {
+          ignored.push(message.topic);
+        }
+      }
+
+      res.json({
+        processed: processed,
+        ignored: ignored,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get dead-letter sensor messages dengan jumlah per device dan reason
+  // (filters: device_id, reason, from, to, limit)
+  app.get('/api/ingest/errors', authorize('admin', { device: true }), async (req, res) => {
+    try {
+      const filters = {
+        // Caller dengan batas device hanya melihat (dan menghitung) device-nya sendiri
+        device_id: req.query.device_id || deviceScopeFilter(req.auth),
+        limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+      };
+
+      if (req.query.reason) {
+        if (!ERROR_REASONS.includes(req.query.reason)) {
+          return res.status(400).json({ error: `reason must be one of: ${ERROR_REASONS.join(', ')}` });
+        }
+        filters.reason = req.query.reason;
+      }
+      for (const field of ['from', 'to']) {
+        if (req.query[field]) {
+          const date = new Date(req.query[field]);
+          if (isNaN(date.getTime())) {
+            return res.status(400).json({ error: `${field} must be a valid timestamp` });
+          }
+          filters[field] = date.toISOString();
+        }
+      }
+
+      const [errors, counts] = await Promise.all([
+        getIngestErrors(filters),
+        getIngestErrorCounts(filters)
+      ]);
+      res.json({
+        errors: errors,
+        count: errors.length,
+        counts: counts,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Control servo
+  app.post('/api/control/servo', authorize('operator', { device: true }), async (req, res) => {
+    try {
+      const { device_id, angle } = req.body;
+
+      if (!device_id || angle === undefined) {
+        return res.status(400).json({ error: 'Device ID and angle are required' });
+      }
+
+      const { ttlSeconds, error: ttlError } = parseCommandTtl(req.body);
+      if (ttlError) {
+        return res.status(400).json({ error: ttlError });
+      }
+
+      if (!mqttHandler) {
+        return res.status(503).json({ error: 'MQTT handler not initialized' });
+      }
+
+      // ⚠️ SIMPAN + PUBLISH COMMAND KE RASPI (bukan save status)
+      // Batas sudut dicek safety layer, di luar batas ditolak (bukan di-clamp)
+      const command = await mqttHandler.sendCommand('servo', device_id, Number(angle), {
+        commandBy: req.auth.id,
+        source: 'api',
+        ttlSeconds,
+        requestId: req.id
+      });
+
+      // queued = broker belum terjangkau, dikirim otomatis saat reconnect
+      // Serverless bisa langsung acknowledged/completed karena menunggu ack
+      const published = command.status !== 'queued';
+      res.status(published ? 200 : 202).json({
+        status: published ? 'success' : 'queued',
+        message: published
+          ? `Servo command published to ${device_id}: ${angle}°`
+          : `Servo command queued for ${device_id}: ${angle}°`,
+        command_status: command.status,
+        expires_at: command.expires_at,
+        command_id: command.command_id,
+        device_id: device_id,
+        angle: Number(angle)
+      });
+    } catch (error) {
+      if (error instanceof CommandRejectedError) {
+        return res.status(error.status).json({ status: 'rejected', error: error.message, reason: error.reason });
+      }
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Control water - UPDATE  
+  app.post('/api/control/water', authorize('operator', { device: true }), async (req, res) => {
+    try {
+      const { device_id, state } = req.body;
+
+      if (!device_id || state === undefined) {
+        return res.status(400).json({ error: 'Device ID and state are required' });
+      }
+
+      const { ttlSeconds, error: ttlError } = parseCommandTtl(req.body);
+      if (ttlError) {
+        return res.status(400).json({ error: ttlError });
+      }
+
+      if (!mqttHandler) {
+        return res.status(503).json({ error: 'MQTT handler not initialized' });
+      }
+
+      // ⚠️ SIMPAN + PUBLISH COMMAND KE RASPI
+      const command = await mqttHandler.sendCommand('water', device_id, state, {
+        commandBy: req.auth.id,
+        source: 'api',
+        ttlSeconds,
+        requestId: req.id
+      });
+
+      // queued = broker belum terjangkau, dikirim otomatis saat reconnect
+      // Serverless bisa langsung acknowledged/completed karena menunggu ack
+      const published = command.status !== 'queued';
+      res.status(published ? 200 : 202).json({
+        status: published ? 'success' : 'queued',
+        message: published
+          ? `Water command published to ${device_id}: ${state}`
+          : `Water command queued for ${device_id}: ${state}`,
+        command_status: command.status,
+        expires_at: command.expires_at,
+        command_id: command.command_id,
+        device_id: device_id,
+        water_state: state
+      });
+    } catch (error) {
+      if (error instanceof CommandRejectedError) {
+        return res.status(error.status).json({ status: 'rejected', error: error.message, reason: error.reason });
+      }
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get command history (filters: device_id, type, status, source, command_by, batch_id, from, to, limit)
+  app.get('/api/commands', authorize('viewer', { device: true }), async (req, res) => {
+    try {
+      const { filters, error } = parseCommandFilters(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const commands = await getCommands({ ...filters, device_id: filters.device_id || deviceScopeFilter(req.auth) });
+      res.json({
+        commands: commands,
+        count: commands.length,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get command history for specific device
+  app.get('/api/devices/:deviceId/commands', authorize('viewer', { device: true }), async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const { filters, error } = parseCommandFilters(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const commands = await getCommands({ ...filters, device_id: deviceId });
+      res.json({
+        device_id: deviceId,
+        commands: commands,
+        count: commands.length,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Real-time stream (Server-Sent Events) untuk sensor, command, device dan alert events
+  app.get('/api/stream', authorize('viewer', { allowQueryToken: true }), sseHandler);
+
+  // Get group command batches (filters: group_id, type, status, limit)
+  app.get('/api/commands/batches', authorize('viewer'), async (req, res) => {
+    try {
+      if (req.query.status && !BATCH_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `status must be one of: ${BATCH_STATUSES.join(', ')}` });
+      }
+
+      const batches = (await getCommandBatches({
+        group_id: req.query.group_id,
+        type: req.query.type,
+        status: req.query.status,
+        limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+      })).filter((batch) => batch.results.every((result) => canAccessDevice(req.auth, result.device_id)));
+
+      res.json({
+        batches: batches,
+        count: batches.length,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get group command batch beserta command per device
+  app.get('/api/commands/batches/:batchId', authorize('viewer'), async (req, res) => {
+    try {
+      const batch = await getCommandBatchById(req.params.batchId);
+      if (!batch || !batch.results.every((result) => canAccessDevice(req.auth, result.device_id))) {
+        return res.status(404).json({ error: 'Batch not found' });
+      }
+
+      res.json({
+        batch: batch,
+        commands: await getCommands({ batch_id: batch.batch_id, limit: 1000 }),
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get command status (queued -> published -> acknowledged -> completed/failed/timeout)
+  app.get('/api/commands/:id', authorize('viewer'), async (req, res) => {
+    try {
+      const command = await getCommandById(req.params.id);
+
+      if (!command || !canAccessDevice(req.auth, command.device_id)) {
+        return res.status(404).json({ error: 'Command not found' });
+      }
+
+      res.json({
+        command: command,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== AUTOMATION RULES ====================
+
+  // Get all rules
+  app.get('/api/rules', authorize('viewer'), async (req, res) => {
+    try {
+      const rules = (await getRules({ device_id: req.query.device_id }))
+        .filter((rule) => canAccessRule(req.auth, rule));
+      res.json({
+        rules: rules,
+        count: rules.length,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Create rule
+  app.post('/api/rules', authorize('admin'), async (req, res) => {
+    try {
+      const { rule, error } = validateRule(req.body || {}, { metrics: await getMetricNames() });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (!canAccessRule(req.auth, rule, { manage: true })) {
+        return res.status(403).json({ error: 'No access to the rule device or action targets' });
+      }
+
+      const created = await createRule({ ...rule, created_by: req.auth.id });
+      res.status(201).json({
+        rule: created,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get rule
+  app.get('/api/rules/:id', authorize('viewer'), async (req, res) => {
+    try {
+      const rule = await getRuleById(req.params.id);
+      if (!rule || !canAccessRule(req.auth, rule)) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+
+      res.json({
+        rule: rule,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Update rule
+  app.patch('/api/rules/:id', authorize('admin'), async (req, res) => {
+    try {
+      const { rule, error } = validateRule(req.body || {}, { partial: true, metrics: await getMetricNames() });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const existing = await getRuleById(req.params.id);
+      if (!existing || !canAccessRule(req.auth, existing)) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      if (!canAccessRule(req.auth, existing, { manage: true }) || !canAccessRule(req.auth, { ...existing, ...rule }, { manage: true })) {
+        return res.status(403).json({ error: 'No access to the rule device or action targets' });
+      }
+
+      // Kondisi berubah: reset latch supaya rule dievaluasi ulang dari awal.
+      // state_version naik supaya evaluasi yang sedang jalan tidak menimpanya
+      if (rule.conditions || rule.match) {
+        rule.state = {};
+        rule.state_version = (existing.state_version || 0) + 1;
+      }
+
+      const updated = await updateRule(req.params.id, rule);
+      if (!updated) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+
+      res.json({
+        rule: updated,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete rule
+  app.delete('/api/rules/:id', authorize('admin'), async (req, res) => {
+    try {
+      const existing = await getRuleById(req.params.id);
+      if (!existing || !canAccessRule(req.auth, existing)) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+      if (!canAccessRule(req.auth, existing, { manage: true })) {
+        return res.status(403).json({ error: 'No access to the rule device or action targets' });
+      }
+
+      const deleted = await deleteRule(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+
+      res.json({ status: 'success' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get rule execution log
+  app.get('/api/rules/:id/executions', authorize('viewer'), async (req, res) => {
+    try {
+      const rule = await getRuleById(req.params.id);
+      if (!rule || !canAccessRule(req.auth, rule)) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+
+      // Rule global: hanya eksekusi untuk device yang bisa diakses
+      const limit = Math.min(parseInt(req.query.limit) || 50, 1000);
+      const executions = filterByDevice(req.auth, await getRuleExecutions(req.params.id, limit));
+      res.json({
+        rule_id: req.params.id,
+        executions: executions,
+        count: executions.length,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== SCHEDULES ====================
+
+  // Jalankan schedule yang sudah due (dipanggil Vercel cron)
+  app.all('/api/schedules/run', authorizeCron(), async (req, res) => {
+    try {
+      if (!scheduler) {
+        return res.status(503).json({ error: 'Scheduler not initialized' });
+      }
+
+      const result = await scheduler.tick();
+      res.json({
+        result: result,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get all schedules
+  app.get('/api/schedules', authorize('viewer', { device: true }), async (req, res) => {
+    try {
+      const schedules = filterByDevice(req.auth, await getSchedules({ device_id: req.query.device_id }));
+      res.json({
+        schedules: schedules,
+        count: schedules.length,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Create schedule
+  app.post('/api/schedules', authorize('operator', { device: true }), async (req, res) => {
+    try {
+      const { schedule, error } = validateSchedule(req.body || {});
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const nextRun = computeNextRun(schedule);
+      const created = await createSchedule({
+        ...schedule,
+        created_by: req.auth.id,
+        next_run_at: nextRun ? nextRun.toISOString() : null
+      });
+      res.status(201).json({
+        schedule: created,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get schedule
+  app.get('/api/schedules/:id', authorize('viewer'), async (req, res) => {
+    try {
+      const schedule = await getScheduleById(req.params.id);
+      if (!schedule || !canAccessDevice(req.auth, schedule.device_id)) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+
+      res.json({
+        schedule: schedule,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Update schedule
+  app.patch('/api/schedules/:id', authorize('operator', { device: true }), async (req, res) => {
+    try {
+      const existing = await getScheduleById(req.params.id);
+      if (!existing || !canAccessDevice(req.auth, existing.device_id)) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+
+      const { schedule, error } = validateSchedule(req.body || {}, { partial: true });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      // Waktu berubah: hitung ulang next run
+      if (schedule.cron !== undefined || schedule.interval_seconds !== undefined || schedule.start_at !== undefined) {
+        const nextRun = computeNextRun({ ...existing, ...schedule, next_run_at: null });
+        schedule.next_run_at = nextRun ? nextRun.toISOString() : null;
+      }
+
+      const updated = await updateSchedule(req.params.id, schedule);
+      res.json({
+        schedule: updated,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete schedule
+  app.delete('/api/schedules/:id', authorize('operator'), async (req, res) => {
+    try {
+      const existing = await getScheduleById(req.params.id);
+      if (!existing || !canAccessDevice(req.auth, existing.device_id)) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+
+      const deleted = await deleteSchedule(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+
+      res.json({ status: 'success' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Pause, resume atau skip run berikutnya
+  app.post('/api/schedules/:id/:action(pause|resume|skip)', authorize('operator'), async (req, res) => {
+    try {
+      const existing = await getScheduleById(req.params.id);
+      if (!existing || !canAccessDevice(req.auth, existing.device_id)) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+
+      let patch;
+      if (req.params.action === 'pause') {
+        patch = { paused: true };
+      } else if (req.params.action === 'resume') {
+        // Mulai lagi dari sekarang, run yang terlewat saat pause tidak dikejar
+        const nextRun = computeNextRun({ ...existing, next_run_at: null });
+        patch = { paused: false, next_run_at: nextRun ? nextRun.toISOString() : null };
+      } else {
+        patch = { skip_next: true };
+      }
+
+      const updated = await updateSchedule(req.params.id, patch);
+      res.json({
+        schedule: updated,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get schedule execution log
+  app.get('/api/schedules/:id/executions', authorize('viewer'), async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 1000);
+      const executions = filterByDevice(req.auth, await getScheduleExecutions(req.params.id, limit));
+      res.json({
+        schedule_id: req.params.id,
+        executions: executions,
+        count: executions.length,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== METRIC REGISTRY ====================
+
+  // List metric definitions. Dengan device_type: metric yang berlaku untuk
+  // type itu (bawaan + '*' + type), tanpa filter: semua definisi tersimpan
+  app.get('/api/metric-definitions', authorize('viewer'), async (req, res) => {
+    try {
+      const metrics = req.query.device_type
+        ? await getMetricsForType(req.query.device_type)
+        : await getMetricDefinitions();
+
+      res.json({
+        metrics: metrics,
+        count: metrics.length,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Register metric baru, langsung dipakai ingestion tanpa deploy ulang
+  app.post('/api/metric-definitions', authorize('admin'), async (req, res) => {
+    try {
+      const { definition, error } = validateMetricDefinition(req.body || {});
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const existing = await getMetricDefinitions({ device_type: definition.device_type });
+      if (existing.some((metric) => metric.name === definition.name)) {
+        return res.status(409).json({ error: `Metric ${definition.name} already exists for device type ${definition.device_type}` });
+      }
+
+      const created = await createMetricDefinition({ ...definition, created_by: req.auth.id });
+      invalidateMetricCache();
+      res.status(201).json({
+        metric: created,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Update metric definition (unit, range, on_invalid, ...)
+  app.patch('/api/metric-definitions/:id', authorize('admin'), async (req, res) => {
+    try {
+      const { definition, error } = validateMetricDefinition(req.body || {}, { partial: true });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (definition.name !== undefined || definition.device_type !== undefined) {
+        return res.status(400).json({ error: 'name and device_type cannot be changed, create a new metric instead' });
+      }
+
+      const existing = await getMetricDefinitionById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Metric definition not found' });
+      }
+
+      const min = definition.min !== undefined ? definition.min : existing.min;
+      const max = definition.max !== undefined ? definition.max : existing.max;
+      if (typeof min === 'number' && typeof max === 'number' && min > max) {
+        return res.status(400).json({ error: 'min must be less than or equal to max' });
+      }
+
+      const updated = await updateMetricDefinition(req.params.id, definition);
+      invalidateMetricCache();
+      res.json({
+        metric: updated,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Hapus metric definition. Data yang sudah tersimpan tetap ada di sensor_data.metrics
+  app.delete('/api/metric-definitions/:id', authorize('admin'), async (req, res) => {
+    try {
+      const deleted = await deleteMetricDefinition(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Metric definition not found' });
+      }
+
+      invalidateMetricCache();
+      res.json({ status: 'success' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== DEVICE GROUPS ====================
+
+  // Get all groups
+  app.get('/api/groups', authorize('viewer'), async (req, res) => {
+    try {
+      // Sama seperti command batches: hanya group yang semua member-nya bisa diakses
+      const groups = (await getGroups())
+        .filter((group) => findDeniedDevices(req.auth, group.device_ids).length === 0)
+        .map((group) => scopeGroup(req.auth, group));
+      res.json({
+        groups: groups,
+        count: groups.length,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Create group
+  app.post('/api/groups', authorize('admin'), async (req, res) => {
+    try {
+      const { group, error } = validateGroup(req.body || {});
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const denied = findDeniedDevices(req.auth, group.device_ids);
+      if (denied.length > 0) {
+        return res.status(403).json({ error: `No access to devices: ${denied.join(', ')}` });
+      }
+
+      const unknown = await findUnknownDevices(group.device_ids);
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown devices: ${unknown.join(', ')}` });
+      }
+
+      const created = await createGroup({ ...group, created_by: req.auth.id });
+      res.status(201).json({
+        group: created,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get group beserta device member
+  app.get('/api/groups/:groupId', authorize('viewer'), async (req, res) => {
+    try {
+      const group = await getGroupById(req.params.groupId);
+      if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+
+      const scoped = scopeGroup(req.auth, group);
+      const devices = await Promise.all(scoped.device_ids.map((deviceId) => getDeviceById(deviceId)));
+      res.json({
+        group: scoped,
+        devices: devices.filter(Boolean),
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Update group
+  app.patch('/api/groups/:groupId', authorize('admin'), async (req, res) => {
+    try {
+      const { group, error } = validateGroup(req.body || {}, { partial: true });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      // Group yang berisi device di luar scope caller tidak boleh diubah
+      const existing = await getGroupById(req.params.groupId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+
+      const denied = findDeniedDevices(req.auth, [...existing.device_ids, ...(group.device_ids || [])]);
+      if (denied.length > 0) {
+        return res.status(403).json({ error: `No access to devices: ${[...new Set(denied)].join(', ')}` });
+      }
+
+      if (group.device_ids) {
+        const unknown = await findUnknownDevices(group.device_ids);
+        if (unknown.length > 0) {
+          return res.status(400).json({ error: `Unknown devices: ${unknown.join(', ')}` });
+        }
+      }
+
+      const updated = await updateGroup(req.params.groupId, group);
+      if (!updated) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+
+      res.json({
+        group: updated,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete group (device member tidak ikut terhapus)
+  app.delete('/api/groups/:groupId', authorize('admin'), async (req, res) => {
+    try {
+      const existing = await getGroupById(req.params.groupId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+
+      const denied = findDeniedDevices(req.auth, existing.device_ids);
+      if (denied.length > 0) {
+        return res.status(403).json({ error: `No access to devices: ${denied.join(', ')}` });
+      }
+
+      const deleted = await deleteGroup(req.params.groupId);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+
+      res.json({ status: 'success' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Group servo control: fan-out ke semua member, satu batch di command log.
+  // atomic=false mengirim ke member yang lolos walaupun ada yang ditolak.
+  app.post('/api/groups/:groupId/control/servo', authorize('operator'), async (req, res) => {
+    try {
+      const { angle, atomic } = req.body;
+
+      if (angle === undefined) {
+        return res.status(400).json({ error: 'Angle is required' });
+      }
+
+      const { ttlSeconds, error: ttlError } = parseCommandTtl(req.body);
+      if (ttlError) {
+        return res.status(400).json({ error: ttlError });
+      }
+
+      if (!mqttHandler) {
+        return res.status(503).json({ error: 'MQTT handler not initialized' });
+      }
+
+      const group = await getGroupById(req.params.groupId);
+      if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+
+      const denied = findDeniedDevices(req.auth, group.device_ids);
+      if (denied.length > 0) {
+        return res.status(403).json({ error: `No access to devices: ${denied.join(', ')}` });
+      }
+
+      const batch = await sendGroupCommand(mqttHandler, group, 'servo', Number(angle), {
+        commandBy: req.auth.id,
+        ttlSeconds,
+        atomic: atomic !== false,
+        requestId: req.id
+      });
+
+      res.status(BATCH_HTTP_STATUS[batch.status]).json({
+        status: batch.status,
+        message: `Servo command ${batch.status} for group ${group.name}: ${angle}°`,
+        batch_id: batch.batch_id,
+        group_id: group.group_id,
+        angle: Number(angle),
+        results: batch.results
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Group water control (sama seperti servo)
+  app.post('/api/groups/:groupId/control/water', authorize('operator'), async (req, res) => {
+    try {
+      const { state, atomic } = req.body;
+
+      if (state === undefined) {
+        return res.status(400).json({ error: 'State is required' });
+      }
+
+      const { ttlSeconds, error: ttlError } = parseCommandTtl(req.body);
+      if (ttlError) {
+        return res.status(400).json({ error: ttlError });
+      }
+
+      if (!mqttHandler) {
+        return res.status(503).json({ error: 'MQTT handler not initialized' });
+      }
+
+      const group = await getGroupById(req.params.groupId);
+      if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+
+      const denied = findDeniedDevices(req.auth, group.device_ids);
+      if (denied.length > 0) {
+        return res.status(403).json({ error: `No access to devices: ${denied.join(', ')}` });
+      }
+
+      const batch = await sendGroupCommand(mqttHandler, group, 'water', state, {
+        commandBy: req.auth.id,
+        ttlSeconds,
+        atomic: atomic !== false,
+        requestId: req.id
+      });
+
+      res.status(BATCH_HTTP_STATUS[batch.status]).json({
+        status: batch.status,
+        message: `Water command ${batch.status} for group ${group.name}: ${state}`,
+        batch_id: batch.batch_id,
+        group_id: group.group_id,
+        water_state: state,
+        results: batch.results
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Latest data semua member plus ringkasan min/avg/max
+  app.get('/api/groups/:groupId/data', authorize('viewer'), async (req, res) => {
+    try {
+      const group = await getGroupById(req.params.groupId);
+      if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+
+      const deviceIds = group.device_ids.filter((deviceId) => canAccessDevice(req.auth, deviceId));
+      const readings = await Promise.all(deviceIds.map((deviceId) => getLatestSensorData(deviceId)));
+      const data = readings.filter(Boolean);
+
+      res.json({
+        group_id: group.group_id,
+        data: data,
+        missing: deviceIds.filter((deviceId, index) => !readings[index]),
+        summary: summarizeReadings(data),
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // History gabungan semua member (sama seperti /api/history/:deviceId,
+  // dengan bucket hasilnya agregat lintas device)
+  app.get('/api/groups/:groupId/history', authorize('viewer'), async (req, res) => {
+    try {
+      const group = await getGroupById(req.params.groupId);
+      if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+
+      const deviceIds = group.device_ids.filter((deviceId) => canAccessDevice(req.auth, deviceId));
+      const metrics = await getMetricsForDevices(deviceIds);
+      const { options, error } = parseHistoryOptions(req.query, metrics);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const history = deviceIds.length > 0 ? await getSensorHistory(deviceIds, options) : [];
+      res.json({
+        group_id: group.group_id,
+        device_ids: deviceIds,
+        metrics: metrics.map(({ name, unit, type }) => ({ name, unit, type })),
+        from: options.from || null,
+        to: options.to || null,
+        bucket: options.bucket || null,
+        aggregates: options.aggregates || null,
+        history: history,
+        count: history.length,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== ALERTS ====================
+
+  // Kirim ulang notifikasi alert yang masih open (dipanggil Vercel cron)
+  app.all('/api/alerts/run', authorizeCron(), async (req, res) => {
+    try {
+      if (!mqttHandler) {
+        return res.status(503).json({ error: 'MQTT handler not initialized' });
+      }
+
+      const result = await mqttHandler.alertManager.tick();
+      res.json({
+        result: result,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get alert thresholds
+  app.get('/api/alerts/thresholds', authorize('viewer'), async (req, res) => {
+    try {
+      // Threshold global (tanpa device_id) terlihat oleh semua caller
+      const thresholds = filterByDevice(req.auth, await getAlertThresholds({ device_id: req.query.device_id }), { includeGlobal: true });
+      res.json({
+        thresholds: thresholds,
+        count: thresholds.length,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Create alert threshold
+  app.post('/api/alerts/thresholds', authorize('admin', { device: true }), async (req, res) => {
+    try {
+      const { threshold, error } = validateThreshold(req.body || {}, { metrics: await getMetricNames() });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      // Threshold global berlaku untuk semua device, butuh akses semua device
+      if (!canAccessDevice(req.auth, threshold.device_id)) {
+        return res.status(403).json({ error: 'Device-scoped callers must set an accessible device_id' });
+      }
+
+      const created = await createAlertThreshold({ ...threshold, created_by: req.auth.id });
+      res.status(201).json({
+        threshold: created,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Update alert threshold
+  app.patch('/api/alerts/thresholds/:id', authorize('admin', { device: true }), async (req, res) => {
+    try {
+      const { threshold, error } = validateThreshold(req.body || {}, { partial: true, metrics: await getMetricNames() });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const existing = await getAlertThresholdById(req.params.id);
+      if (!existing || !canAccessDevice(req.auth, existing.device_id)) {
+        return res.status(404).json({ error: 'Threshold not found' });
+      }
+      if (threshold.device_id !== undefined && !canAccessDevice(req.auth, threshold.device_id)) {
+        return res.status(403).json({ error: 'Device-scoped callers must set an accessible device_id' });
+      }
+
+      // Kondisi berubah: mulai hitung breach dari awal. state_version naik
+      // supaya evaluasi yang sedang jalan tidak menimpanya
+      if (threshold.metric || threshold.operator || threshold.value !== undefined) {
+        threshold.state = {};
+        threshold.state_version = (existing.state_version || 0) + 1;
+      }
+
+      const updated = await updateAlertThreshold(req.params.id, threshold);
+      if (!updated) {
+        return res.status(404).json({ error: 'Threshold not found' });
+      }
+
+      res.json({
+        threshold: updated,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete alert threshold
+  app.delete('/api/alerts/thresholds/:id', authorize('admin'), async (req, res) => {
+    try {
+      const existing = await getAlertThresholdById(req.params.id);
+      if (!existing || !canAccessDevice(req.auth, existing.device_id)) {
+        return res.status(404).json({ error: 'Threshold not found' });
+      }
+
+      const deleted = await deleteAlertThreshold(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Threshold not found' });
+      }
+
+      res.json({ status: 'success' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Kirim notifikasi test lewat satu channel (webhook, email, mqtt)
+  app.post('/api/alerts/channels/:channel/test', authorize('admin'), async (req, res) => {
+    try {
+      if (!mqttHandler) {
+        return res.status(503).json({ error: 'MQTT handler not initialized' });
+      }
+
+      const channel = mqttHandler.alertManager.channels[req.params.channel];
+      if (!channel) {
+        return res.status(404).json({ error: `Channel ${req.params.channel} is not configured` });
+      }
+
+      await channel.send({
+        kind: 'test',
+        alert: {
+          alert_id: 'test',
+          device_id: 'test',
+          severity: 'info',
+          status: 'open',
+          message: 'Test notification from IoT backend',
+          opened_at: new Date().toISOString()
+        }
+      });
+      res.json({
+        channel: req.params.channel,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(502).json({ error: error.message });
+    }
+  });
+
+  // Get alerts (filters: status, severity, type, device_id, limit)
+  app.get('/api/alerts', authorize('viewer', { device: true }), async (req, res) => {
+    try {
+      const { status, severity, type, device_id } = req.query;
+
+      if (status && !ALERT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${ALERT_STATUSES.join(', ')}` });
+      }
+      if (severity && !ALERT_SEVERITIES.includes(severity)) {
+        return res.status(400).json({ error: `severity must be one of: ${ALERT_SEVERITIES.join(', ')}` });
+      }
+
+      const alerts = filterByDevice(req.auth, await getAlerts({
+        status,
+        severity,
+        type,
+        device_id,
+        limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+      }));
+      res.json({
+        alerts: alerts,
+        count: alerts.length,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get alert
+  app.get('/api/alerts/:id', authorize('viewer'), async (req, res) => {
+    try {
+      const alert = await getAlertById(req.params.id);
+      if (!alert || !canAccessDevice(req.auth, alert.device_id)) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+
+      res.json({
+        alert: alert,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Acknowledge alert (stop re-notify)
+  app.post('/api/alerts/:id/acknowledge', authorize('operator'), async (req, res) => {
+    try {
+      const alert = await getAlertById(req.params.id);
+      if (!alert || !canAccessDevice(req.auth, alert.device_id)) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+      if (alert.status !== 'open') {
+        return res.status(409).json({ error: `Alert is already ${alert.status}` });
+      }
+
+      const updated = await updateAlert(alert.alert_id, {
+        status: 'acknowledged',
+        acknowledged_at: new Date().toISOString(),
+        acknowledged_by: req.auth.id,
+        note: (req.body && req.body.note) || null
+      });
+      res.json({
+        alert: updated,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Resolve alert manual
+  app.post('/api/alerts/:id/resolve', authorize('operator'), async (req, res) => {
+    try {
+      if (!mqttHandler) {
+        return res.status(503).json({ error: 'MQTT handler not initialized' });
+      }
+
+      const alert = await getAlertById(req.params.id);
+      if (!alert || !canAccessDevice(req.auth, alert.device_id)) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+      if (alert.status === 'resolved') {
+        return res.status(409).json({ error: 'Alert is already resolved' });
+      }
+
+      const updated = await mqttHandler.alertManager.resolve(alert.dedup_key);
+      res.json({
+        alert: updated,
+        status: 'success'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Prometheus metrics: ingestion, database, commands, MQTT, HTTP dan
+  // latest sensor value per device (gauge)
+  app.get('/metrics', authorizeMetrics(), async (req, res) => {
+    try {
+      setSensorGauges(await getAllDevicesLatestData());
+      res.set('Content-Type', CONTENT_TYPE);
+      res.send(renderMetrics());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get MQTT status
+  app.get('/api/mqtt-status', authorize('viewer'), (req, res) => {
+    const status = mqttHandler ? mqttHandler.getStatus() : { isConnected: false };
+    res.json({ mqtt: status });
+  });
+
+  // Handle 404
+  app.use('*', (req, res) => {
+    res.status(404).json({ error: 'Endpoint not found' });
+  });
+
+  // Error handler
+  app.use((error, req, res, next) => {
+    req.log.error('Server error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  return app;
+}
+
+module.exports = {
+  createApp
+};
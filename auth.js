@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const { verifyDeviceToken } = require('./database');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'auth' });
+
+// Authentication untuk API: API key atau JWT (HS256).
+//
+//   API_KEYS='[{"key":"abc","name":"dashboard","role":"viewer"},
+//              {"key":"def","name":"ops","role":"operator","devices":["pi-1"]}]'
+//   JWT_SECRET=...   claims: sub, role, devices (opsional), exp
+//
+// Client mengirim `Authorization: Bearer <jwt|api key>` atau `X-API-Key: <key>`.
+// Role: viewer (baca data) < operator (kirim command) < admin (kelola device/rules).
+// Device token (`X-Device-Token: dt_...` atau `Bearer dt_...`) hanya untuk
+// POST /api/ingest, dan hanya untuk device pemilik token.
+// `devices` membatasi akses ke device tertentu, tanpa `devices` atau ["*"] = semua.
+// Kalau API_KEYS dan JWT_SECRET kosong semua request ditolak (503), kecuali
+// auth dimatikan eksplisit dengan AUTH_DISABLED=true (semua request = admin).
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// devices harus array device id, string biasa membuat includes() jadi substring match
+function isDeviceList(devices) {
+  return Array.isArray(devices) && devices.every((deviceId) => typeof deviceId === 'string');
+}
+
+function loadApiKeys() {
+  if (!process.env.API_KEYS) {
+    return [];
+  }
+
+  let keys;
+  try {
+    keys = JSON.parse(process.env.API_KEYS);
+  } catch (error) {
+    throw new Error(`API_KEYS must be a JSON array: ${error.message}`);
+  }
+
+  if (!Array.isArray(keys)) {
+    throw new Error('API_KEYS must be a JSON array');
+  }
+  keys.forEach((entry, index) => {
+    if (!entry.key || !entry.name || !ROLES.includes(entry.role)) {
+      throw new Error(`API_KEYS[${index}] needs key, name and a role (${ROLES.join(', ')})`);
+    }
+    if (entry.devices !== undefined && entry.devices !== null && !isDeviceList(entry.devices)) {
+      throw new Error(`API_KEYS[${index}].devices must be an array of device ids`);
+    }
+  });
+  return keys;
+}
+
+const apiKeys = loadApiKeys();
+const jwtSecret = process.env.JWT_SECRET || null;
+const isAuthDisabled = process.env.AUTH_DISABLED === 'true';
+const isAuthConfigured = apiKeys.length > 0 || Boolean(jwtSecret);
+const isAuthEnabled = !isAuthDisabled;
+
+if (isAuthDisabled) {
+  log.warn('AUTH_DISABLED=true - API authentication is DISABLED, every request is admin');
+} else if (!isAuthConfigured) {
+  log.error('API_KEYS/JWT_SECRET not set - API requests are rejected until auth is configured (or AUTH_DISABLED=true)');
+}
+
+class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function base64UrlDecode(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+function signJwt(payload, secret = jwtSecret) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+function verifyJwt(token) {
+  if (!jwtSecret) {
+    throw new AuthError(401, 'JWT authentication is not configured');
+  }
+
+  const [header, payload, signature] = token.split('.');
+  if (!header || !payload || !signature) {
+    throw new AuthError(401, 'Malformed token');
+  }
+
+  let parsedHeader;
+  let claims;
+  try {
+    parsedHeader = JSON.parse(base64UrlDecode(header));
+    claims = JSON.parse(base64UrlDecode(payload));
+  } catch (error) {
+    throw new AuthError(401, 'Malformed token');
+  }
+
+  if (parsedHeader.alg !== 'HS256') {
+    throw new AuthError(401, 'Unsupported token algorithm');
+  }
+
+  const expected = crypto.createHmac('sha256', jwtSecret).update(`${header}.${payload}`).digest('base64url');
+  if (!safeEqual(signature, expected)) {
+    throw new AuthError(401, 'Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.exp !== undefined && now >= claims.exp) {
+    throw new AuthError(401, 'Token expired');
+  }
+  if (claims.nbf !== undefined && now < claims.nbf) {
+    throw new AuthError(401, 'Token not yet valid');
+  }
+  if (!claims.sub || !ROLES.includes(claims.role)) {
+    throw new AuthError(403, 'Token needs sub and a valid role claim');
+  }
+  if (claims.devices !== undefined && claims.devices !== null && !isDeviceList(claims.devices)) {
+    throw new AuthError(403, 'Token devices claim must be an array of device ids');
+  }
+
+  return {
+    id: `user:${claims.sub}`,
+    name: claims.sub,
+    role: claims.role,
+    devices: claims.devices || null,
+    method: 'jwt'
+  };
+}
+
+function verifyApiKey(key) {
+  const entry = apiKeys.find((candidate) => safeEqual(candidate.key, key));
+  if (!entry) {
+    throw new AuthError(401, 'Invalid API key');
+  }
+
+  return {
+    id: `apikey:${entry.name}`,
+    name: entry.name,
+    role: entry.role,
+    devices: entry.devices || null,
+    method: 'api_key'
+  };
+}
+
+function getCredential(req, { allowQueryToken = false } = {}) {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  if (req.get('X-API-Key')) {
+    return req.get('X-API-Key');
+  }
+  // EventSource di browser tidak bisa kirim header
+  if (allowQueryToken && req.query.access_token) {
+    return String(req.query.access_token);
+  }
+  return null;
+}
+
+// Resolve identity dari request, throws AuthError
+function identify(req, options = {}) {
+  if (isAuthDisabled) {
+    return { id: 'anonymous', name: 'anonymous', role: 'admin', devices: null, method: 'none' };
+  }
+  // Fail closed: env yang lupa di-set tidak boleh membuka API
+  if (!isAuthConfigured) {
+    throw new AuthError(503, 'Authentication is not configured (set API_KEYS or JWT_SECRET)');
+  }
+
+  const credential = getCredential(req, options);
+  if (!credential) {
+    throw new AuthError(401, 'Authentication required');
+  }
+
+  // JWT selalu punya 3 bagian dipisah titik
+  return credential.split('.').length === 3 ? verifyJwt(credential) : verifyApiKey(credential);
+}
+
+function hasRole(identity, role) {
+  return ROLES.indexOf(identity.role) >= ROLES.indexOf(role);
+}
+
+function canAccessDevice(identity, deviceId) {
+  if (!identity.devices || identity.devices.includes('*')) {
+    return true;
+  }
+  return identity.devices.includes(deviceId);
+}
+
+// Saring rows (devices, data, commands, ...) ke device yang boleh diakses.
+// includeGlobal: row tanpa device_id (berlaku untuk semua device) tetap ikut
+function filterByDevice(identity, rows, { includeGlobal = false } = {}) {
+  if (!identity.devices || identity.devices.includes('*')) {
+    return rows;
+  }
+  return rows.filter((row) => (includeGlobal && !row.device_id) || identity.devices.includes(row.device_id));
+}
+
+// Filter device_id untuk query storage, supaya limit dihitung setelah batas
+// device diterapkan. null = caller tanpa batas device
+function deviceScopeFilter(identity) {
+  if (!identity.devices || identity.devices.includes('*')) {
+    return null;
+  }
+  return { in: identity.devices };
+}
+
+function getRequestDeviceId(req) {
+  return req.params.deviceId || (req.body && req.body.device_id) || req.query.device_id || null;
+}
+
+// Middleware: authenticate + minimal role, opsional cek akses device dari
+// params.deviceId / body.device_id / query.device_id
+function authorize(role, { device = false, allowQueryToken = false } = {}) {
+  return (req, res, next) => {
+    try {
+      const identity = identify(req, { allowQueryToken });
+
+      if (!hasRole(identity, role)) {
+        throw new AuthError(403, `Requires ${role} role`);
+      }
+
+      const deviceId = device ? getRequestDeviceId(req) : null;
+      if (deviceId && !canAccessDevice(identity, deviceId)) {
+        throw new AuthError(403, `No access to device ${deviceId}`);
+      }
+
+      req.auth = identity;
+      next();
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      next(error);
+    }
+  };
+}
+
+// Middleware untuk endpoint yang dipanggil sistem lain dengan shared secret
+// `Authorization: Bearer <secret dari env>`, selain itu butuh admin
+function authorizeSecret(secretEnv, name) {
+  const adminOnly = authorize('admin');
+
+  return (req, res, next) => {
+    const secret = process.env[secretEnv];
+    if (secret && safeEqual(req.get('Authorization') || '', `Bearer ${secret}`)) {
+      req.auth = { id: name, name, role: 'admin', devices: null, method: name };
+      return next();
+    }
+    adminOnly(req, res, next);
+  };
+}
+
+// Middleware untuk endpoint cron: Vercel cron mengirim CRON_SECRET
+function authorizeCron() {
+  return authorizeSecret('CRON_SECRET', 'cron');
+}
+
+// Middleware untuk MQTT bridge webhook (serverless), pakai MQTT_WEBHOOK_SECRET
+function authorizeWebhook() {
+  return authorizeSecret('MQTT_WEBHOOK_SECRET', 'mqtt_bridge');
+}
+
+// Middleware untuk Prometheus scrape (bearer_token di scrape config), pakai METRICS_TOKEN
+function authorizeMetrics() {
+  return authorizeSecret('METRICS_TOKEN', 'metrics');
+}
+
+// Middleware untuk ingest: device token kalau ada, selain itu butuh `role`
+// (cek akses device seperti authorize). req.auth.devices berisi device pemilik token.
+function authorizeDevice(role = 'admin') {
+  const fallback = authorize(role, { device: true });
+
+  return async (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const token = req.get('X-Device-Token') || (header.startsWith('Bearer dt_') ? header.slice(7).trim() : null);
+    if (!token) {
+      return fallback(req, res, next);
+    }
+
+    try {
+      const deviceId = await verifyDeviceToken(token);
+      if (!deviceId) {
+        return res.status(401).json({ error: 'Invalid device token' });
+      }
+
+      req.auth = { id: `device:${deviceId}`, name: deviceId, role: 'viewer', devices: [deviceId], method: 'device_token' };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// CORS origins dari CORS_ORIGINS (comma separated), default semua origin
+function getCorsOptions() {
+  // Browser client bisa membaca request id untuk dicocokkan dengan log
+  const exposedHeaders = ['X-Request-Id'];
+  if (!process.env.CORS_ORIGINS) {
+    return { exposedHeaders };
+  }
+  return {
+    origin: process.env.CORS_ORIGINS.split(',').map((origin) => origin.trim()).filter(Boolean),
+    exposedHeaders
+  };
+}
+
+module.exports = {
+  ROLES,
+  AuthError,
+  isAuthEnabled,
+  authorize,
+  authorizeCron,
+  authorizeDevice,
+  authorizeWebhook,
+  authorizeMetrics,
+  canAccessDevice,
+  deviceScopeFilter,
+  filterByDevice,
+  getCorsOptions,
+  signJwt,
+  verifyJwt
+};
@@ -0,0 +1,267 @@
+const {
+  getRules,
+  getRuleById,
+  updateRule,
+  saveRuleExecution
+} = require('./database');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'automation' });
+
+// Rule automation dievaluasi untuk setiap sensor reading di MqttHandler.
+//
+// Rule:
+// {
+//   name, device_id (null = semua device), enabled,
+//   match: 'all' | 'any',
+//   conditions: [{ metric: 'humidity', operator: '>', value: 80 }],
+//   hysteresis: 5,          // rule aktif lagi setelah humidity <= 75
+//   cooldown_seconds: 300,  // jarak minimal antar trigger
+//   actions: [{ type: 'servo', angle: 0 }, { type: 'water', state: true, device_id: 'pi-2' }]
+// }
+//
+// Rule bersifat edge-triggered: setelah trigger, rule "latched" per device dan
+// baru bisa trigger lagi setelah kondisi kembali normal melewati hysteresis.
+// State per device ada di rule.state, diubah dengan conditional update pada
+// state_version supaya reading yang diproses bersamaan tidak saling menimpa.
+
+const OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '==': (value, threshold) => value === threshold,
+  '!=': (value, threshold) => value !== threshold
+};
+const ACTION_TYPES = ['servo', 'water'];
+
+// metrics = nama metric yang dikenal (lihat getMetricNames di metric-registry)
+function validateCondition(condition, metrics) {
+  if (!condition || typeof condition !== 'object') {
+    return 'Each condition must be an object';
+  }
+  if (!metrics.includes(condition.metric)) {
+    return `condition.metric must be one of: ${metrics.join(', ')}`;
+  }
+  if (!OPERATORS[condition.operator]) {
+    return `condition.operator must be one of: ${Object.keys(OPERATORS).join(' ')}`;
+  }
+  if (typeof condition.value !== 'number') {
+    return 'condition.value must be a number';
+  }
+  return null;
+}
+
+function validateAction(action) {
+  if (!action || !ACTION_TYPES.includes(action.type)) {
+    return `action.type must be one of: ${ACTION_TYPES.join(', ')}`;
+  }
+  if (action.type === 'servo' && (typeof action.angle !== 'number' || action.angle < 0 || action.angle > 180)) {
+    return 'servo action needs an angle between 0 and 180';
+  }
+  if (action.type === 'water' && typeof action.state !== 'boolean') {
+    return 'water action needs a boolean state';
+  }
+  return null;
+}
+
+// Validate rule body from the API. partial=true untuk PATCH, metrics = nama
+// metric yang boleh dipakai condition
+function validateRule(input, { partial = false, metrics = [] } = {}) {
+  const rule = {};
+
+  if (input.name !== undefined || !partial) {
+    if (!input.name || typeof input.name !== 'string') {
+      return { error: 'name is required' };
+    }
+    rule.name = input.name;
+  }
+  if (input.device_id !== undefined) {
+    rule.device_id = input.device_id || null;
+  } else if (!partial) {
+    rule.device_id = null;
+  }
+  if (input.enabled !== undefined || !partial) {
+    rule.enabled = input.enabled !== false;
+  }
+  if (input.match !== undefined || !partial) {
+    const match = input.match || 'all';
+    if (!['all', 'any'].includes(match)) {
+      return { error: 'match must be all or any' };
+    }
+    rule.match = match;
+  }
+  if (input.conditions !== undefined || !partial) {
+    if (!Array.isArray(input.conditions) || input.conditions.length === 0) {
+      return { error: 'conditions must be a non-empty array' };
+    }
+    const error = input.conditions.map((condition) => validateCondition(condition, metrics)).find(Boolean);
+    if (error) return { error };
+    rule.conditions = input.conditions.map(({ metric, operator, value }) => ({ metric, operator, value }));
+  }
+  if (input.actions !== undefined || !partial) {
+    if (!Array.isArray(input.actions) || input.actions.length === 0) {
+      return { error: 'actions must be a non-empty array' };
+    }
+    const error = input.actions.map(validateAction).find(Boolean);
+    if (error) return { error };
+    rule.actions = input.actions;
+  }
+  for (const field of ['hysteresis', 'cooldown_seconds']) {
+    if (input[field] !== undefined || !partial) {
+      const value = input[field] === undefined ? 0 : input[field];
+      if (typeof value !== 'number' || value < 0) {
+        return { error: `${field} must be a non-negative number` };
+      }
+      rule[field] = value;
+    }
+  }
+
+  return { rule };
+}
+
+// Geser threshold sebesar hysteresis ke arah "normal"
+function shiftedThreshold(condition, hysteresis) {
+  if (condition.operator === '>' || condition.operator === '>=') {
+    return condition.value - hysteresis;
+  }
+  if (condition.operator === '<' || condition.operator === '<=') {
+    return condition.value + hysteresis;
+  }
+  return condition.value;
+}
+
+function evaluateConditions(rule, reading, hysteresis = 0) {
+  const results = rule.conditions.map((condition) => {
+    const value = reading[condition.metric];
+    if (typeof value !== 'number') {
+      return false;
+    }
+    return OPERATORS[condition.operator](value, shiftedThreshold(condition, hysteresis));
+  });
+
+  return rule.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+}
+
+async function executeActions(rule, reading, mqttHandler) {
+  const results = [];
+
+  for (const action of rule.actions) {
+    const deviceId = action.device_id || reading.device_id;
+    const value = action.type === 'servo' ? action.angle : action.state;
+
+    try {
+      const command = await mqttHandler.sendCommand(action.type, deviceId, value, {
+        commandBy: rule.rule_id,
+        source: 'automation'
+      });
+      results.push({ type: action.type, device_id: deviceId, value, command_id: command.command_id, status: command.status });
+    } catch (error) {
+      results.push({ type: action.type, device_id: deviceId, value, status: 'error', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+// Berapa kali state rule dibaca ulang kalau reading lain mengubahnya duluan
+const STATE_UPDATE_ATTEMPTS = 5;
+
+// Evaluate satu rule untuk satu reading. Perubahan state (latch/cooldown) hanya
+// disimpan kalau state_version belum berubah sejak dibaca, seperti claim di
+// scheduler.runSchedule. Kalau kalah, baca ulang rule dan evaluasi lagi.
+// Returns true kalau rule trigger.
+async function evaluateRule(initialRule, reading, mqttHandler) {
+  let rule = initialRule;
+
+  for (let attempt = 0; attempt < STATE_UPDATE_ATTEMPTS; attempt++) {
+    const state = rule.state || {};
+    const deviceState = state[reading.device_id] || { active: false, last_triggered_at: null };
+    const version = rule.state_version === undefined ? null : rule.state_version;
+    const expected = { state_version: version };
+    const nextVersion = (version || 0) + 1;
+
+    if (deviceState.active) {
+      // Re-arm hanya kalau kondisi sudah normal melewati hysteresis
+      if (evaluateConditions(rule, reading, rule.hysteresis || 0)) {
+        return false;
+      }
+      const updated = await updateRule(rule.rule_id, {
+        state: { ...state, [reading.device_id]: { ...deviceState, active: false } },
+        state_version: nextVersion
+      }, expected);
+      if (updated) {
+        log.info('Rule re-armed', { rule_id: rule.rule_id, rule: rule.name, device_id: reading.device_id });
+        return false;
+      }
+    } else {
+      if (!evaluateConditions(rule, reading)) {
+        return false;
+      }
+
+      const lastTriggered = deviceState.last_triggered_at ? new Date(deviceState.last_triggered_at).getTime() : 0;
+      if (Date.now() - lastTriggered < (rule.cooldown_seconds || 0) * 1000) {
+        log.debug('Rule in cooldown', { rule_id: rule.rule_id, rule: rule.name, device_id: reading.device_id });
+        return false;
+      }
+
+      const triggeredAt = new Date().toISOString();
+      const updated = await updateRule(rule.rule_id, {
+        state: { ...state, [reading.device_id]: { active: true, last_triggered_at: triggeredAt } },
+        state_version: nextVersion,
+        last_triggered_at: triggeredAt
+      }, expected);
+
+      if (updated) {
+        const actions = await executeActions(rule, reading, mqttHandler);
+        await saveRuleExecution({
+          rule_id: rule.rule_id,
+          device_id: reading.device_id,
+          reading: {
+            temperature: reading.temperature,
+            humidity: reading.humidity,
+            pressure: reading.pressure
+          },
+          actions
+        });
+
+        log.info('Rule fired', { rule_id: rule.rule_id, rule: rule.name, device_id: reading.device_id });
+        return true;
+      }
+    }
+
+    // State diubah reading lain (atau rule di-update) sejak dibaca
+    rule = await getRuleById(rule.rule_id);
+    if (!rule || !rule.enabled) {
+      return false;
+    }
+  }
+
+  log.warn('Rule state update kept conflicting, reading skipped', { rule_id: initialRule.rule_id, device_id: reading.device_id });
+  return false;
+}
+
+// Evaluate all enabled rules for one sensor reading
+async function evaluateRules(reading, mqttHandler) {
+  const rules = await getRules({ device_id: reading.device_id, enabled: true });
+  const fired = [];
+
+  for (const rule of rules) {
+    try {
+      if (await evaluateRule(rule, reading, mqttHandler)) {
+        fired.push(rule.rule_id);
+      }
+    } catch (error) {
+      log.error('Error evaluating rule', { rule_id: rule.rule_id, device_id: reading.device_id, err: error });
+    }
+  }
+
+  return fired;
+}
+
+module.exports = {
+  validateRule,
+  validateAction,
+  evaluateConditions,
+  evaluateRules
+};
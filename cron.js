@@ -0,0 +1,104 @@
+// Parser cron 5 field minimal: menit jam tanggal bulan hari-minggu
+// Mendukung *, angka, list (1,15), range (1-5), step (*/10, 8-18/2).
+// Waktu mengikuti timezone process (env TZ).
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Cari maksimal satu tahun ke depan
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+function parseField(value, { name, min, max }) {
+  const allowed = new Set();
+
+  for (const part of value.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : parseInt(stepPart);
+    if (isNaN(step) || step < 1) {
+      throw new Error(`Invalid step in ${name}: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = min;
+      end = max;
+    } else if (rangePart.includes('-')) {
+      [start, end] = rangePart.split('-').map(Number);
+    } else {
+      start = Number(rangePart);
+      end = stepPart === undefined ? start : max;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid ${name}: ${part}`);
+    }
+
+    for (let i = start; i <= end; i += step) {
+      // Minggu boleh ditulis 0 atau 7
+      allowed.add(name === 'dayOfWeek' && i === 7 ? 0 : i);
+    }
+  }
+
+  return { allowed, wildcard: value === '*' };
+}
+
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields (minute hour day month weekday)');
+  }
+
+  const fields = {};
+  FIELDS.forEach((field, index) => {
+    fields[field.name] = parseField(parts[index], field);
+  });
+  return fields;
+}
+
+function matchesDay(fields, date) {
+  const dayOfMonth = fields.dayOfMonth.allowed.has(date.getDate());
+  const dayOfWeek = fields.dayOfWeek.allowed.has(date.getDay());
+
+  // Seperti cron standar: kalau dua-duanya dibatasi, cukup salah satu cocok
+  if (!fields.dayOfMonth.wildcard && !fields.dayOfWeek.wildcard) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+// Next run strictly after `after`
+function getNextRun(expression, after = new Date()) {
+  const fields = parseCron(expression);
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+    if (!fields.month.allowed.has(date.getMonth() + 1) || !matchesDay(fields, date)) {
+      // Lompat ke awal hari berikutnya
+      date.setHours(24, 0, 0, 0);
+      continue;
+    }
+    if (!fields.hour.allowed.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (fields.minute.allowed.has(date.getMinutes())) {
+      return date;
+    }
+    date.setMinutes(date.getMinutes() + 1);
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  getNextRun
+};
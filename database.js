@@ -1,282 +1,1884 @@
-const { createClient } = require('@supabase/supabase-js');
+const crypto = require('crypto');
+const { createStorage } = require('./storage');
+const { aggregateReadings, rollupReadings, aggregateRollups } = require('./aggregation');
+const { eventStream } = require('./event-stream');
+const { instrumentStorage } = require('./metrics');
+const { logger } = require('./logger');
 
-// Handle missing environment variables gracefully
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
+const log = logger.child({ module: 'database' });
 
-let supabase;
-let isDatabaseEnabled = false;
+// Pilih storage adapter: Supabase kalau credentials ada, kalau tidak
+// file lokal (demo/offline mode). Bisa dipaksa lewat STORAGE_DRIVER.
+let storage;
 
-if (supabaseUrl && supabaseKey) {
+try {
+  // Latency + error per operasi untuk /metrics
+  storage = instrumentStorage(createStorage());
+  log.info('Storage adapter initialized', { storage: storage.name });
+} catch (error) {
+  log.error('Storage initialization failed', { err: error });
+  throw error;
+}
+
+if (storage.name !== 'supabase') {
+  log.warn('Supabase credentials missing - running with local storage', { storage: storage.name });
+}
+
+const isDatabaseEnabled = storage.name === 'supabase';
+const supabase = storage.client || null;
+
+// Ganti storage adapter (createApp({ storage }), testing in-process).
+// Dipanggil sebelum initDatabase, cache latest reading ikut di-reset.
+function useStorage(adapter) {
+  storage = instrumentStorage(adapter);
+  latestCache = null;
+  module.exports.storage = storage;
+  log.info('Storage adapter in use', { storage: storage.name });
+}
+
+function getStorage() {
+  return storage;
+}
+
+// Tulis perubahan storage yang tertunda (file adapter) secara sinkron,
+// dipanggil dari shutdown hook server.js
+function flushStorage() {
   try {
-    supabase = createClient(supabaseUrl, supabaseKey);
-    isDatabaseEnabled = true;
-    console.log('✅ Supabase client initialized');
+    if (storage.flush) storage.flush();
   } catch (error) {
-    console.error('❌ Supabase initialization failed:', error.message);
-    isDatabaseEnabled = false;
+    log.error('Storage flush failed', { storage: storage.name, err: error });
   }
-} else {
-  console.warn('⚠️ Supabase credentials missing - running in demo mode');
-  isDatabaseEnabled = false;
 }
 
-// Mock functions untuk demo mode
-const mockSupabase = {
-  from: () => ({
-    select: () => Promise.resolve({ data: [], error: null }),
-    insert: () => Promise.resolve({ data: [{ id: 1 }], error: null }),
-    upsert: () => Promise.resolve({ data: [], error: null }),
-    update: () => Promise.resolve({ data: [], error: null }),
-    delete: () => Promise.resolve({ data: [], error: null })
-  }),
-  rpc: () => Promise.resolve({ data: [], error: null })
-};
+async function initDatabase() {
+  try {
+    log.info('Checking storage', { storage: storage.name });
+    await storage.init();
+  } catch (error) {
+    log.error('Database check failed', { storage: storage.name, err: error });
+  }
+
+  try {
+    await backfillLatestReadings();
+  } catch (error) {
+    log.error('Latest reading backfill failed', { err: error });
+  }
+}
+
+// Kolom sensor_data. Metric lain (dari metric registry) disimpan di kolom
+// metrics (jsonb) dan di-flatten lagi jadi field biasa saat dibaca.
+const SENSOR_COLUMNS = ['id', 'device_id', 'timestamp', 'created_at', 'temperature', 'humidity', 'pressure', 'servo_state', 'water_state'];
 
-// Use mock jika database tidak available
-if (!isDatabaseEnabled) {
-  supabase = mockSupabase;
+// Reading flat -> row dengan metric tambahan di `metrics`
+function toSensorRow(reading) {
+  const row = { metrics: {} };
+  for (const [field, value] of Object.entries(reading)) {
+    if (SENSOR_COLUMNS.includes(field)) {
+      row[field] = value;
+    } else if (field !== 'metrics') {
+      row.metrics[field] = value;
+    }
+  }
+  return row;
 }
 
-async function initDatabase() {
-  if (!isDatabaseEnabled) {
-    console.log('🔄 Running in demo mode - no database connection');
-    return;
-  }
-  
-  try {
-    console.log('🔄 Checking database connection...');
-    
-    // Test connection
-    const { error } = await supabase
-      .from('devices')
-      .select('*')
-      .limit(1);
-    
-    if (error) {
-      console.log('📦 Please create tables in Supabase SQL Editor');
+// Row sensor_data / sensor_latest -> reading flat
+function flattenReading(row) {
+  const { metrics, ...reading } = row;
+  return { ...(metrics || {}), ...reading };
+}
+
+async function saveSensorData(data) {
+  const [sensorData] = await saveSensorReadings([data]);
+  return sensorData;
+}
+
+// Bulk insert reading yang sudah divalidasi (satu insert untuk satu batch).
+// timestamp dari device kalau ada, selain itu waktu terima. Hanya reading
+// yang jadi latest reading device yang di-publish ke event stream, supaya
+// backfill tidak membanjiri dashboard.
+async function saveSensorReadings(readings) {
+  if (readings.length === 0) {
+    return [];
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const deviceIds = [...new Set(readings.map((reading) => reading.device_id))];
+    const devices = [];
+    for (const deviceId of deviceIds) {
+      devices.push(await ensureDevice(deviceId));
+    }
+
+    const rows = await storage.insert('sensor_data', readings.map((reading) => {
+      const row = toSensorRow(reading);
+      return {
+        ...row,
+        servo_state: row.servo_state || 0,
+        water_state: row.water_state || false,
+        timestamp: row.timestamp || now
+      };
+    }));
+    const saved = rows.map(flattenReading);
+
+    for (const [index, device_id] of deviceIds.entries()) {
+      // Update last_seen saja, metadata registry tidak disentuh
+      await storage.update('devices', { where: { device_id } }, {
+        last_seen: now
+      });
+
+      const newest = saved
+        .filter((reading) => reading.device_id === device_id)
+        .reduce((latest, reading) => (new Date(reading.timestamp) >= new Date(latest.timestamp) ? reading : latest));
+      if (await updateLatestReading(newest)) {
+        eventStream.publish('sensor', device_id, newest);
+      }
+
+      if (!devices[index].is_online) {
+        await setDeviceStatus(device_id, true, { reason: 'report' });
+      }
+    }
+
+    log.debug('Sensor readings saved', { count: saved.length, device_ids: deviceIds, storage: storage.name });
+    return saved;
+  } catch (error) {
+    log.error('Error saving sensor data', { err: error });
+    throw error;
+  }
+}
+
+// Timestamp (ms) reading device yang sudah tersimpan dalam [from, to], untuk dedup
+async function getSensorTimestamps(deviceId, from, to) {
+  try {
+    const rows = await storage.select('sensor_data', {
+      where: {
+        device_id: deviceId,
+        timestamp: { gte: new Date(from).toISOString(), lte: new Date(to).toISOString() }
+      }
+    });
+    return new Set(rows.map((row) => new Date(row.timestamp).getTime()));
+  } catch (error) {
+    log.error('Error getting sensor timestamps', { err: error });
+    throw error;
+  }
+}
+
+// ==================== DEVICE REGISTRY ====================
+
+async function getDeviceById(deviceId) {
+  try {
+    const [device] = await storage.select('devices', {
+      where: { device_id: deviceId },
+      limit: 1
+    });
+    return device || null;
+  } catch (error) {
+    log.error('Error getting device', { err: error });
+    throw error;
+  }
+}
+
+// Device yang belum dikenal didaftarkan otomatis sebagai 'pending'
+async function ensureDevice(deviceId) {
+  const existing = await getDeviceById(deviceId);
+  if (existing) {
+    return existing;
+  }
+
+  const [device] = await storage.insert('devices', [
+    {
+      device_id: deviceId,
+      device_name: deviceId,
+      status: 'pending',
+      capabilities: null,
+      tags: [],
+      is_online: false,
+      created_at: new Date().toISOString()
+    }
+  ]);
+
+  eventStream.publish('device', deviceId, { device_id: deviceId, status: 'pending' });
+  log.info('New device registered as pending', { device_id: deviceId });
+  return device;
+}
+
+async function createDevice(data) {
+  try {
+    const now = new Date().toISOString();
+    const [device] = await storage.insert('devices', [
+      {
+        tags: [],
+        capabilities: null,
+        is_online: false,
+        ...data,
+        created_at: now,
+        updated_at: now
+      }
+    ]);
+
+    log.info('Device registered', { device_id: device.device_id, storage: storage.name });
+    return device;
+  } catch (error) {
+    log.error('Error creating device', { err: error });
+    throw error;
+  }
+}
+
+async function updateDevice(deviceId, patch) {
+  try {
+    const [device] = await storage.update('devices', { where: { device_id: deviceId } }, {
+      ...patch,
+      updated_at: new Date().toISOString()
+    });
+    return device || null;
+  } catch (error) {
+    log.error('Error updating device', { err: error });
+    throw error;
+  }
+}
+
+// Hapus entry registry saja, sensor_data dan command log tetap disimpan
+async function deleteDevice(deviceId) {
+  try {
+    const removed = await storage.remove('devices', { where: { device_id: deviceId } });
+    return removed.length > 0;
+  } catch (error) {
+    log.error('Error deleting device', { err: error });
+    throw error;
+  }
+}
+
+// ==================== DEVICE TOKENS ====================
+// Token per device untuk POST /api/ingest. Yang disimpan hanya sha256-nya,
+// token asli hanya ditampilkan sekali saat dibuat.
+
+function hashDeviceToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createDeviceToken(deviceId, { createdBy = null, name = null } = {}) {
+  try {
+    const token = `dt_${crypto.randomBytes(32).toString('base64url')}`;
+    const [row] = await storage.insert('device_tokens', [
+      {
+        token_id: crypto.randomUUID(),
+        device_id: deviceId,
+        token_hash: hashDeviceToken(token),
+        name,
+        created_by: createdBy,
+        created_at: new Date().toISOString()
+      }
+    ]);
+
+    const { token_hash, ...info } = row;
+    return { ...info, token };
+  } catch (error) {
+    log.error('Error creating device token', { err: error });
+    throw error;
+  }
+}
+
+// Device token -> device_id, null kalau token tidak dikenal
+async function verifyDeviceToken(token) {
+  try {
+    const [row] = await storage.select('device_tokens', {
+      where: { token_hash: hashDeviceToken(token) },
+      limit: 1
+    });
+    if (!row) {
+      return null;
+    }
+
+    await storage.update('device_tokens', { where: { token_id: row.token_id } }, {
+      last_used_at: new Date().toISOString()
+    });
+    return row.device_id;
+  } catch (error) {
+    log.error('Error verifying device token', { err: error });
+    throw error;
+  }
+}
+
+async function getDeviceTokens(deviceId) {
+  try {
+    const rows = await storage.select('device_tokens', {
+      where: { device_id: deviceId },
+      orderBy: 'created_at',
+      ascending: false
+    });
+    return rows.map(({ token_hash, ...info }) => info);
+  } catch (error) {
+    log.error('Error getting device tokens', { err: error });
+    throw error;
+  }
+}
+
+// Hapus satu token, atau semua token device kalau tokenId kosong
+async function revokeDeviceTokens(deviceId, tokenId = null) {
+  try {
+    const where = { device_id: deviceId };
+    if (tokenId) {
+      where.token_id = tokenId;
+    }
+    const removed = await storage.remove('device_tokens', { where });
+    return removed.length;
+  } catch (error) {
+    log.error('Error revoking device tokens', { err: error });
+    throw error;
+  }
+}
+
+// ==================== DEVICE STATUS ====================
+
+// Set device online/offline. Hanya transisi yang dicatat di device_events,
+// lengkap dengan berapa lama status sebelumnya berlangsung.
+async function setDeviceStatus(deviceId, isOnline, { reason = null } = {}) {
+  try {
+    const device = await ensureDevice(deviceId);
+
+    if (Boolean(device.is_online) === isOnline) {
+      return null;
+    }
+
+    const now = new Date();
+    const previousSince = device.status_changed_at ? new Date(device.status_changed_at) : null;
+    const previousDuration = previousSince ? Math.round((now - previousSince) / 1000) : null;
+
+    await storage.update('devices', { where: { device_id: deviceId } }, {
+      is_online: isOnline,
+      status_changed_at: now.toISOString()
+    });
+
+    const [event] = await storage.insert('device_events', [
+      {
+        device_id: deviceId,
+        event: isOnline ? 'online' : 'offline',
+        reason,
+        previous_duration_seconds: previousDuration,
+        created_at: now.toISOString()
+      }
+    ]);
+
+    eventStream.publish('device', deviceId, {
+      device_id: deviceId,
+      is_online: isOnline,
+      reason,
+      previous_duration_seconds: previousDuration
+    });
+
+    log.info(`Device ${event.event}`, { device_id: deviceId, reason });
+    return event;
+  } catch (error) {
+    log.error('Error setting device status', { err: error });
+    throw error;
+  }
+}
+
+// Get online/offline transitions, newest first
+async function getDeviceEvents(deviceId, filters = {}) {
+  try {
+    const where = { device_id: deviceId };
+    if (filters.from || filters.to) {
+      where.created_at = {};
+      if (filters.from) where.created_at.gte = filters.from;
+      if (filters.to) where.created_at.lte = filters.to;
+    }
+
+    return await storage.select('device_events', {
+      where,
+      orderBy: 'created_at',
+      ascending: false,
+      limit: filters.limit || 100
+    });
+  } catch (error) {
+    log.error('Error getting device events', { err: error });
+    throw error;
+  }
+}
+
+// Hitung uptime dan availability (%) device dalam range from..to
+async function getDeviceAvailability(deviceId, { from, to }) {
+  try {
+    const [device] = await storage.select('devices', {
+      where: { device_id: deviceId },
+      limit: 1
+    });
+    if (!device) {
+      return null;
+    }
+
+    const start = new Date(from).getTime();
+    const end = Math.min(new Date(to).getTime(), Date.now());
+
+    const events = await storage.select('device_events', {
+      where: { device_id: deviceId, created_at: { gte: from, lte: to } },
+      orderBy: 'created_at',
+      ascending: true
+    });
+    const [before] = await storage.select('device_events', {
+      where: { device_id: deviceId, created_at: { lt: from } },
+      orderBy: 'created_at',
+      ascending: false,
+      limit: 1
+    });
+
+    // Status di awal range: event terakhir sebelum range, atau kebalikan event pertama
+    let online;
+    if (before) {
+      online = before.event === 'online';
+    } else if (events.length > 0) {
+      online = events[0].event !== 'online';
     } else {
-      console.log('✅ Database connection successful');
+      online = Boolean(device.is_online);
+    }
+
+    let onlineMs = 0;
+    let cursor = start;
+    for (const event of events) {
+      const time = new Date(event.created_at).getTime();
+      if (online) onlineMs += time - cursor;
+      online = event.event === 'online';
+      cursor = time;
     }
+    if (online && end > cursor) onlineMs += end - cursor;
+
+    const totalMs = Math.max(end - start, 0);
+    const statusSince = device.status_changed_at ? new Date(device.status_changed_at).getTime() : null;
+
+    return {
+      device_id: deviceId,
+      from,
+      to,
+      is_online: Boolean(device.is_online),
+      status_since: device.status_changed_at || null,
+      current_uptime_seconds: device.is_online && statusSince ? Math.round((Date.now() - statusSince) / 1000) : 0,
+      online_seconds: Math.round(onlineMs / 1000),
+      offline_seconds: Math.round((totalMs - onlineMs) / 1000),
+      availability_percent: totalMs > 0 ? Math.round((onlineMs / totalMs) * 10000) / 100 : null,
+      transitions: events.length
+    };
   } catch (error) {
-    console.error('❌ Database check failed:', error.message);
+    log.error('Error getting device availability', { err: error });
+    throw error;
   }
 }
 
-async function saveSensorData(data) {
-  if (!isDatabaseEnabled) {
-    console.log('💾 [DEMO] Sensor data would be saved:', data.device_id);
-    return { id: Date.now(), ...data };
-  }
-  
-  try {
-    const { device_id, temperature, humidity, pressure, servo_state, water_state } = data;
-    
-    const { data: sensorData, error } = await supabase
-      .from('sensor_data')
-      .insert([
-        {
-          device_id,
-          temperature,
-          humidity, 
-          pressure,
-          servo_state: servo_state || 0,
-          water_state: water_state || false
-        }
-      ])
-      .select();
-
-    if (error) throw error;
-    
-    // Update device status
-    await supabase
-      .from('devices')
-      .upsert([
-        {
-          device_id,
-          device_name: `Device ${device_id}`,
-          last_seen: new Date().toISOString(),
-          is_online: true
-        }
-      ]);
-
-    console.log('💾 Sensor data saved to Supabase:', device_id);
-    return sensorData[0];
-  } catch (error) {
-    console.error('❌ Error saving sensor data:', error.message);
+// ==================== DEVICE SHADOW ====================
+
+async function getDeviceShadow(deviceId) {
+  try {
+    const [shadow] = await storage.select('device_shadows', {
+      where: { device_id: deviceId },
+      limit: 1
+    });
+    return shadow || null;
+  } catch (error) {
+    log.error('Error getting device shadow', { err: error });
+    throw error;
+  }
+}
+
+// Insert atau merge kolom shadow (desired, reported, sync metadata)
+async function saveDeviceShadow(deviceId, patch) {
+  try {
+    const [shadow] = await storage.upsert('device_shadows', [
+      { ...patch, device_id: deviceId, updated_at: new Date().toISOString() }
+    ], { onConflict: 'device_id' });
+    return shadow;
+  } catch (error) {
+    log.error('Error saving device shadow', { err: error });
+    throw error;
+  }
+}
+
+// Command lifecycle: queued -> published (PUBACK dari broker) -> acknowledged
+// -> completed/failed, atau timeout kalau Raspi tidak pernah membalas ack.
+// Command yang antri melewati expires_at (broker tidak terjangkau) jadi expired,
+// atau rejected kalau interlock aktif saat antrian dikirim ulang.
+const COMMAND_STATUSES = ['queued', 'published', 'acknowledged', 'completed', 'failed', 'timeout', 'expired', 'rejected'];
+const COMMAND_TRANSITIONS = {
+  queued: ['published', 'expired', 'rejected'],
+  published: ['acknowledged', 'completed', 'failed', 'timeout'],
+  // Row lama sebelum ada queue
+  sent: ['acknowledged', 'completed', 'failed', 'timeout'],
+  acknowledged: ['completed', 'failed', 'timeout'],
+  // Ack yang telat tetap dicatat, karena device ternyata menjalankan command
+  timeout: ['acknowledged', 'completed', 'failed'],
+  completed: [],
+  failed: [],
+  expired: [],
+  rejected: []
+};
+const COMMAND_TYPES = ['servo', 'water'];
+const COMMAND_SOURCES = ['api', 'automation', 'schedule', 'shadow'];
+const COMMAND_TIMEOUT_MS = parseInt(process.env.COMMAND_TIMEOUT_MS) || 30000;
+const COMMAND_TTL_SECONDS = parseInt(process.env.COMMAND_TTL_SECONDS) || 300;
+
+function generateCommandId() {
+  return crypto.randomUUID();
+}
+
+// Save any actuator command to the single commands log
+async function saveCommand(data) {
+  const command_id = data.command_id || generateCommandId();
+  const { device_id, type, payload, command_by, source, status, ttl_seconds, batch_id, request_id } = data;
+
+  if (!COMMAND_TYPES.includes(type)) {
+    throw new Error(`Invalid command type: ${type}`);
+  }
+  if (source && !COMMAND_SOURCES.includes(source)) {
+    throw new Error(`Invalid command source: ${source}`);
+  }
+
+  const record = {
+    command_id,
+    device_id,
+    type,
+    payload: payload || {},
+    command_by: command_by || 'web_api',
+    source: source || 'api',
+    status: status || 'queued',
+    batch_id: batch_id || null,
+    // HTTP request yang membuat command (X-Request-Id), null untuk automation/schedule
+    request_id: request_id || null,
+    expires_at: new Date(Date.now() + (ttl_seconds || COMMAND_TTL_SECONDS) * 1000).toISOString()
+  };
+
+  try {
+    const [command] = await storage.insert('commands', [record]);
+    eventStream.publish('command', device_id, command);
+
+    log.info('Command saved', { command_id, type, device_id, source: record.source, request_id: record.request_id, storage: storage.name });
+    return command;
+  } catch (error) {
+    log.error('Error saving command', { err: error });
     throw error;
   }
 }
 
 // Save servo command
 async function saveServoCommand(data) {
-  if (!isDatabaseEnabled) {
-    console.log('💾 [DEMO] Servo command would be saved:', data.device_id, data.target_angle);
-    return { id: Date.now(), ...data };
+  const { target_angle, final_angle, ...rest } = data;
+
+  return saveCommand({
+    ...rest,
+    type: 'servo',
+    payload: {
+      target_angle,
+      final_angle: final_angle || target_angle
+    }
+  });
+}
+
+// Save water command
+async function saveWaterCommand(data) {
+  const { state, ...rest } = data;
+
+  return saveCommand({
+    ...rest,
+    type: 'water',
+    payload: { state: Boolean(state) }
+  });
+}
+
+async function findCommand(commandId) {
+  const [command] = await storage.select('commands', {
+    where: { command_id: commandId },
+    limit: 1
+  });
+
+  return command || null;
+}
+
+// Update command status, only along the allowed lifecycle transitions
+async function updateCommandStatus(commandId, status, details = {}) {
+  if (!COMMAND_STATUSES.includes(status)) {
+    throw new Error(`Invalid command status: ${status}`);
   }
-  
+
   try {
-    const { device_id, target_angle, final_angle, command_by, status } = data;
-    
-    const { data: commandData, error } = await supabase
-      .from('servo_commands')
-      .insert([
-        {
-          device_id,
-          target_angle,
-          final_angle: final_angle || target_angle,
-          command_by: command_by || 'web_api',
-          status: status || 'sent'
-        }
-      ])
-      .select();
+    const command = await findCommand(commandId);
+    if (!command) {
+      return null;
+    }
+
+    if (!COMMAND_TRANSITIONS[command.status] || !COMMAND_TRANSITIONS[command.status].includes(status)) {
+      log.debug('Ignoring command transition', { command_id: commandId, from: command.status, to: status });
+      return command;
+    }
+
+    const now = new Date().toISOString();
+    const update = { status, updated_at: now };
 
-    if (error) {
-      throw new Error(`Servo command error: ${error.message}`);
+    if (status === 'published') {
+      update.published_at = now;
+    }
+    if (status === 'acknowledged') {
+      update.acknowledged_at = now;
+    }
+    if (status === 'completed' || status === 'failed') {
+      update.completed_at = now;
+    }
+    if (details.error) {
+      update.error_message = details.error;
+    }
+    if (command.type === 'servo' && details.final_angle !== undefined) {
+      update.payload = { ...command.payload, final_angle: details.final_angle };
     }
 
-    console.log('💾 Servo command saved to Supabase:', device_id);
-    return commandData[0];
+    const [updated] = await storage.update('commands', { where: { command_id: commandId } }, update);
+    eventStream.publish('command', updated.device_id, updated);
+
+    log.info('Command status changed', { command_id: commandId, device_id: updated.device_id, status, request_id: updated.request_id || undefined });
+    return updated;
   } catch (error) {
-    console.error('❌ Error saving servo command:', error);
+    log.error('Error updating command status', { err: error });
     throw error;
   }
 }
 
-// Get latest sensor data
-async function getLatestSensorData(deviceId = null) {
-  if (!isDatabaseEnabled) {
-    console.log('📊 [DEMO] Getting latest data');
-    return deviceId ? mockSensorData : [mockSensorData];
-  }
-  
+// Get command by id. Command yang terlalu lama tanpa ack ditandai timeout,
+// dan command antrian yang lewat TTL ditandai expired, karena di Vercel timer
+// MqttHandler tidak selalu sempat jalan
+async function getCommandById(commandId) {
   try {
-    let query = supabase
-      .from('sensor_data')
-      .select('*');
+    const command = await findCommand(commandId);
+    if (!command) {
+      return null;
+    }
 
-    if (deviceId) {
-      query = query.eq('device_id', deviceId);
+    if (command.status === 'queued' && isCommandExpired(command)) {
+      return updateCommandStatus(commandId, 'expired');
     }
 
-    const { data, error } = await query
-      .order('timestamp', { ascending: false })
-      .limit(1);
+    const isPending = ['published', 'sent', 'acknowledged'].includes(command.status);
+    const age = Date.now() - new Date(command.published_at || command.created_at).getTime();
 
-    if (error) {
-      throw new Error(`Get sensor data error: ${error.message}`);
+    if (isPending && age > COMMAND_TIMEOUT_MS) {
+      return updateCommandStatus(commandId, 'timeout');
     }
 
-    return deviceId ? data[0] : data;
+    return command;
   } catch (error) {
-    console.error('❌ Error getting sensor data:', error);
+    log.error('Error getting command', { err: error });
     throw error;
   }
 }
 
-// Get sensor history
-async function getSensorHistory(deviceId, limit = 50) {
-  if (!isDatabaseEnabled) {
-    console.log('📊 [DEMO] Getting history for:', deviceId);
-    return [mockSensorData];
+function isCommandExpired(command, now = new Date()) {
+  return Boolean(command.expires_at) && new Date(command.expires_at) <= now;
+}
+
+// Command yang belum terkirim ke broker, urut dari yang paling lama
+async function getQueuedCommands(limit = 100) {
+  try {
+    return await storage.select('commands', {
+      where: { status: 'queued' },
+      orderBy: 'created_at',
+      ascending: true,
+      limit
+    });
+  } catch (error) {
+    log.error('Error getting queued commands', { err: error });
+    throw error;
   }
-  
+}
+
+// Get command history, newest first.
+// filters: device_id, type, status, source, command_by, batch_id, from, to, limit
+async function getCommands(filters = {}) {
   try {
-    const { data, error } = await supabase
-      .from('sensor_data')
-      .select('*')
-      .eq('device_id', deviceId)
-      .order('timestamp', { ascending: false })
-      .limit(limit);
+    const where = {};
 
-    if (error) {
-      throw new Error(`Get history error: ${error.message}`);
+    for (const field of ['device_id', 'type', 'status', 'source', 'command_by', 'batch_id']) {
+      if (filters[field]) {
+        where[field] = filters[field];
+      }
+    }
+    if (filters.from || filters.to) {
+      where.created_at = {};
+      if (filters.from) where.created_at.gte = filters.from;
+      if (filters.to) where.created_at.lte = filters.to;
     }
 
-    return data;
+    return await storage.select('commands', {
+      where,
+      orderBy: 'created_at',
+      ascending: false,
+      limit: filters.limit || 100
+    });
   } catch (error) {
-    console.error('❌ Error getting sensor history:', error);
+    log.error('Error getting commands', { err: error });
     throw error;
   }
 }
 
-// Get all devices
-async function getDevices() {
-  if (!isDatabaseEnabled) {
-    console.log('📱 [DEMO] Getting devices list');
-    return [{ device_id: 'demo_device', device_name: 'Demo Device', is_online: true }];
-  }
-  
+// Get latest sensor data
+async function getLatestSensorData(deviceId = null) {
   try {
-    const { data, error } = await supabase
-      .from('devices')
-      .select('*')
-      .order('last_seen', { ascending: false });
+    if (!deviceId) {
+      const [latest] = await storage.select('sensor_latest', {
+        orderBy: 'timestamp',
+        ascending: false,
+        limit: 1
+      });
+      return latest ? [fromLatestRow(latest)] : [];
+    }
 
-    if (error) {
-      throw new Error(`Get devices error: ${error.message}`);
+    if (latestCache) {
+      const cached = latestCache.get(deviceId);
+      return cached ? { ...cached } : undefined;
     }
 
-    return data;
+    const [latest] = await storage.select('sensor_latest', {
+      where: { device_id: deviceId },
+      limit: 1
+    });
+    return latest ? fromLatestRow(latest) : undefined;
   } catch (error) {
-    console.error('❌ Error getting devices:', error);
+    log.error('Error getting sensor data', { err: error });
     throw error;
   }
 }
 
-// Get latest data from all devices
-async function getAllDevicesLatestData() {
-  if (!isDatabaseEnabled) {
-    console.log('📊 [DEMO] Getting all devices data');
-    return [mockSensorData];
+// Get sensor history. deviceId boleh array (history gabungan device group).
+// options: limit, from, to, bucketMs, aggregates. Dengan bucketMs hasilnya
+// series yang sudah di-downsample (urut naik), tanpa bucketMs raw rows terbaru.
+async function getSensorHistory(deviceId, options = {}) {
+  // Backward compatible: getSensorHistory(deviceId, limit)
+  if (typeof options === 'number') {
+    options = { limit: options };
   }
-  
+
+  const { limit = 50, from, to, bucketMs, aggregates } = options;
+
   try {
-    // Get all latest records for each device
-    const { data, error } = await supabase
-      .from('sensor_data')
-      .select('*')
-      .order('timestamp', { ascending: false });
+    const where = { device_id: Array.isArray(deviceId) ? { in: deviceId } : deviceId };
+    if (from || to) {
+      where.timestamp = {};
+      if (from) where.timestamp.gte = from;
+      if (to) where.timestamp.lte = to;
+    }
 
-    if (error) {
-      throw new Error(`Get all devices data error: ${error.message}`);
+    if (!bucketMs) {
+      const rows = await storage.select('sensor_data', {
+        where,
+        orderBy: 'timestamp',
+        ascending: false,
+        limit
+      });
+      return rows.map(flattenReading);
     }
 
-    // Group by device_id and get latest for each
-    const latestData = {};
-    data.forEach(item => {
-      if (!latestData[item.device_id] || new Date(item.timestamp) > new Date(latestData[item.device_id].timestamp)) {
-        latestData[item.device_id] = item;
-      }
+    const segments = planHistorySegments(await getHistorySources(), {
+      from: from ? new Date(from).getTime() : 0,
+      to: to ? new Date(to).getTime() : Date.now(),
+      bucketMs
     });
 
-    return Object.values(latestData);
+    // Semua masih raw: sama seperti sebelum ada rollup
+    if (segments.length === 1 && segments[0].resolution === 'raw') {
+      const rows = await storage.select('sensor_data', {
+        where,
+        orderBy: 'timestamp',
+        ascending: true
+      });
+      return aggregateReadings(rows.map(flattenReading), { bucketMs, aggregates });
+    }
+
+    const rollups = [];
+    for (const segment of segments) {
+      const range = {
+        gte: new Date(segment.from).toISOString(),
+        [segment.last ? 'lte' : 'lt']: new Date(segment.to).toISOString()
+      };
+
+      if (segment.resolution === 'raw') {
+        const rows = await storage.select('sensor_data', {
+          where: { ...where, timestamp: range },
+          orderBy: 'timestamp',
+          ascending: true
+        });
+        rollups.push(...rollupReadings(rows.map(flattenReading), bucketMs)
+          .map((rollup) => ({ ...rollup, bucket_ms: bucketMs })));
+      } else {
+        const rows = await storage.select(ROLLUP_TABLES[segment.resolution], {
+          where: { device_id: where.device_id, bucket_start: range },
+          orderBy: 'bucket_start',
+          ascending: true
+        });
+        rollups.push(...rows.map((row) => ({ ...row, bucket_ms: ROLLUP_BUCKET_MS[segment.resolution] })));
+      }
+    }
+
+    return aggregateRollups(rollups, { bucketMs, aggregates, from: from ? new Date(from).getTime() : null });
   } catch (error) {
-    console.error('❌ Error getting all devices data:', error);
+    log.error('Error getting sensor history', { err: error });
     throw error;
   }
 }
 
-// Mock data untuk demo mode
-const mockSensorData = {
-  id: 1,
-  device_id: 'demo_device',
-  temperature: 25.5,
-  humidity: 60.0,
-  pressure: 1013.25,
-  servo_state: 90,
-  water_state: true,
-  timestamp: new Date().toISOString()
+// ==================== SENSOR RETENTION ====================
+// Raw sensor_data disimpan RETENTION_RAW_DAYS, sebelumnya di-rollup per jam
+// (RETENTION_HOURLY_DAYS) dan per hari (RETENTION_DAILY_DAYS, 0 = selamanya).
+// Bucket harian pakai UTC. Job-nya ada di retention.js.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function retentionDays(value, fallback) {
+  return value !== undefined ? parseFloat(value) : fallback;
+}
+
+const RETENTION = {
+  raw_days: retentionDays(process.env.RETENTION_RAW_DAYS, 30),
+  hourly_days: retentionDays(process.env.RETENTION_HOURLY_DAYS, 365),
+  daily_days: retentionDays(process.env.RETENTION_DAILY_DAYS, 0)
+};
+
+const ROLLUP_TABLES = {
+  hour: 'sensor_data_hourly',
+  day: 'sensor_data_daily'
 };
+const ROLLUP_BUCKET_MS = {
+  hour: HOUR_MS,
+  day: DAY_MS
+};
+
+// Batas data tertua yang masih disimpan, 0 = tidak pernah dihapus
+function getRetentionCutoff(days, now = Date.now()) {
+  return days > 0 ? now - days * DAY_MS : 0;
+}
+
+// Sumber history dari yang paling kasar ke paling halus.
+// until = akhir bucket rollup terakhir yang sudah dihitung (null = belum ada),
+// availableFrom = data paling tua yang masih ada di sumber itu
+async function getHistorySources() {
+  const [dailyUntil, hourlyUntil, hourlyFrom, rawFrom] = await Promise.all([
+    getRollupWatermark('day'),
+    getRollupWatermark('hour'),
+    getOldestTimestamp(ROLLUP_TABLES.hour),
+    getOldestTimestamp('sensor_data')
+  ]);
+
+  return [
+    { resolution: 'day', bucketMs: DAY_MS, until: dailyUntil, availableFrom: 0 },
+    { resolution: 'hour', bucketMs: HOUR_MS, until: hourlyUntil, availableFrom: hourlyFrom === null ? Infinity : hourlyFrom },
+    { resolution: 'raw', bucketMs: 0, until: Infinity, availableFrom: rawFrom === null ? Infinity : rawFrom }
+  ];
+}
+
+// Bagi range [from, to] ke segment per sumber. Sumber yang lebih kasar dari
+// bucket yang diminta hanya dipakai sampai bucket yang sumber lebih halusnya
+// masih lengkap, supaya tidak ada data yang terhitung dua kali.
+function planHistorySegments(sources, { from, to, bucketMs }) {
+  const segments = [];
+  let cursor = from;
+
+  sources.forEach((source, index) => {
+    if (!source.until) return;
+
+    const finer = sources[index + 1];
+    let end = Math.min(to, source.until);
+    if (finer && source.bucketMs > bucketMs) {
+      end = Math.min(end, Math.floor(finer.availableFrom / source.bucketMs) * source.bucketMs);
+    }
+
+    if (cursor < end || (source.resolution === 'raw' && segments.length === 0)) {
+      // Bucket rollup pertama ikut diambil walaupun mulai sebelum `from`
+      const start = segments.length === 0 && source.bucketMs
+        ? Math.floor(cursor / source.bucketMs) * source.bucketMs
+        : cursor;
+      segments.push({ resolution: source.resolution, from: start, to: end, last: end === to });
+      cursor = end;
+    }
+  });
+
+  return segments;
+}
+
+// Akhir bucket rollup terbaru (ms), null kalau belum ada rollup
+async function getRollupWatermark(resolution) {
+  try {
+    const [latest] = await storage.select(ROLLUP_TABLES[resolution], {
+      orderBy: 'bucket_start',
+      ascending: false,
+      limit: 1
+    });
+    return latest ? new Date(latest.bucket_start).getTime() + ROLLUP_BUCKET_MS[resolution] : null;
+  } catch (error) {
+    log.error('Error getting rollup watermark', { err: error });
+    throw error;
+  }
+}
+
+// Raw readings semua device dalam [from, to), ascending
+async function getSensorDataRange(from, to) {
+  try {
+    const rows = await storage.select('sensor_data', {
+      where: { timestamp: { gte: new Date(from).toISOString(), lt: new Date(to).toISOString() } },
+      orderBy: 'timestamp',
+      ascending: true
+    });
+    return rows.map(flattenReading);
+  } catch (error) {
+    log.error('Error getting sensor data range', { err: error });
+    throw error;
+  }
+}
+
+// Timestamp reading / bucket paling tua (ms), null kalau tabel kosong
+async function getOldestTimestamp(table) {
+  const column = table === 'sensor_data' ? 'timestamp' : 'bucket_start';
+  try {
+    const [oldest] = await storage.select(table, {
+      orderBy: column,
+      ascending: true,
+      limit: 1
+    });
+    return oldest ? new Date(oldest[column]).getTime() : null;
+  } catch (error) {
+    log.error('Error getting oldest timestamp', { err: error });
+    throw error;
+  }
+}
+
+async function getRollups(resolution, from, to) {
+  try {
+    return await storage.select(ROLLUP_TABLES[resolution], {
+      where: { bucket_start: { gte: new Date(from).toISOString(), lt: new Date(to).toISOString() } },
+      orderBy: 'bucket_start',
+      ascending: true
+    });
+  } catch (error) {
+    log.error('Error getting rollups', { err: error });
+    throw error;
+  }
+}
+
+// Upsert rollup (device_id, bucket_start), bucket yang dihitung ulang ditimpa
+async function saveRollups(resolution, rollups) {
+  if (rollups.length === 0) {
+    return [];
+  }
+
+  try {
+    const updatedAt = new Date().toISOString();
+    return await storage.upsert(
+      ROLLUP_TABLES[resolution],
+      rollups.map((rollup) => ({
+        device_id: rollup.device_id,
+        bucket_start: rollup.bucket_start,
+        sample_count: rollup.sample_count,
+        metrics: rollup.metrics,
+        updated_at: updatedAt
+      })),
+      { onConflict: 'device_id,bucket_start' }
+    );
+  } catch (error) {
+    log.error('Error saving rollups', { err: error });
+    throw error;
+  }
+}
+
+// Hapus raw readings ('sensor_data') atau rollup ('hour'/'day') dalam [from, to)
+async function deleteSensorRange(source, from, to) {
+  const table = source === 'raw' ? 'sensor_data' : ROLLUP_TABLES[source];
+  const column = source === 'raw' ? 'timestamp' : 'bucket_start';
+
+  try {
+    const removed = await storage.remove(table, {
+      where: { [column]: { gte: new Date(from).toISOString(), lt: new Date(to).toISOString() } }
+    });
+    return removed.length;
+  } catch (error) {
+    log.error('Error deleting sensor data', { err: error });
+    throw error;
+  }
+}
+
+// Get all devices
+// filters: status (pending, approved, rejected)
+async function getDevices(filters = {}) {
+  try {
+    const where = {};
+    if (filters.status) {
+      where.status = filters.status;
+    }
+
+    return await storage.select('devices', {
+      where,
+      orderBy: 'last_seen',
+      ascending: false
+    });
+  } catch (error) {
+    log.error('Error getting devices', { err: error });
+    throw error;
+  }
+}
+
+// Get latest data from all devices
+async function getAllDevicesLatestData() {
+  try {
+    if (latestCache) {
+      return [...latestCache.values()].map((reading) => ({ ...reading }));
+    }
+
+    const rows = await storage.select('sensor_latest', {
+      orderBy: 'timestamp',
+      ascending: false
+    });
+    return rows.map(fromLatestRow);
+  } catch (error) {
+    log.error('Error getting all devices data', { err: error });
+    throw error;
+  }
+}
+
+// ==================== LATEST READINGS ====================
+// sensor_latest menyimpan reading terbaru per device (di-update saveSensorData),
+// jadi /api/data tidak perlu scan sensor_data. Di server.js (long-running)
+// juga di-cache di memory lewat enableLatestReadingCache. Di Vercel tidak,
+// karena instance lain bisa menulis reading yang lebih baru.
+
+let latestCache = null;
+
+// Row sensor_latest -> bentuk reading seperti di sensor_data
+function fromLatestRow(row) {
+  const { id, reading_id, updated_at, ...reading } = row;
+  return { id: reading_id, ...flattenReading(reading) };
+}
+
+async function updateLatestReading(reading) {
+  const current = latestCache
+    ? latestCache.get(reading.device_id)
+    : (await storage.select('sensor_latest', { where: { device_id: reading.device_id }, limit: 1 }))[0];
+
+  // Reading yang datang telat tidak menimpa yang lebih baru
+  if (current && new Date(current.timestamp) > new Date(reading.timestamp)) {
+    return null;
+  }
+
+  const { id, ...fields } = toSensorRow(reading);
+  const [row] = await storage.upsert('sensor_latest', [
+    { ...fields, reading_id: id, updated_at: new Date().toISOString() }
+  ], { onConflict: 'device_id' });
+
+  if (latestCache) {
+    latestCache.set(reading.device_id, fromLatestRow(row));
+  }
+  return row;
+}
+
+// Load semua latest reading ke memory, dipanggil sekali saat server start
+async function enableLatestReadingCache() {
+  const rows = await storage.select('sensor_latest', {});
+  latestCache = new Map(rows.map((row) => [row.device_id, fromLatestRow(row)]));
+  log.info('Latest reading cache loaded', { devices: latestCache.size });
+}
+
+// Isi sensor_latest dari sensor_data kalau masih kosong (data dari sebelum
+// tabel ini ada). Satu query per device, hanya sekali.
+async function backfillLatestReadings() {
+  const existing = await storage.select('sensor_latest', { limit: 1 });
+  if (existing.length > 0) {
+    return 0;
+  }
+
+  let filled = 0;
+  for (const device of await storage.select('devices', {})) {
+    const [reading] = await storage.select('sensor_data', {
+      where: { device_id: device.device_id },
+      orderBy: 'timestamp',
+      ascending: false,
+      limit: 1
+    });
+    if (reading) {
+      await updateLatestReading(flattenReading(reading));
+      filled += 1;
+    }
+  }
+
+  if (filled > 0) {
+    log.info('Latest readings backfilled', { devices: filled });
+  }
+  return filled;
+}
+
+// ==================== METRIC DEFINITIONS ====================
+
+// filters: device_type
+async function getMetricDefinitions(filters = {}) {
+  try {
+    const where = {};
+    if (filters.device_type) {
+      where.device_type = filters.device_type;
+    }
+
+    return await storage.select('metric_definitions', {
+      where,
+      orderBy: 'name',
+      ascending: true
+    });
+  } catch (error) {
+    log.error('Error getting metric definitions', { err: error });
+    throw error;
+  }
+}
+
+async function getMetricDefinitionById(metricId) {
+  try {
+    const [definition] = await storage.select('metric_definitions', {
+      where: { metric_id: metricId },
+      limit: 1
+    });
+    return definition || null;
+  } catch (error) {
+    log.error('Error getting metric definition', { err: error });
+    throw error;
+  }
+}
+
+async function createMetricDefinition(data) {
+  try {
+    const now = new Date().toISOString();
+    const [definition] = await storage.insert('metric_definitions', [
+      {
+        ...data,
+        metric_id: crypto.randomUUID(),
+        created_at: now,
+        updated_at: now
+      }
+    ]);
+
+    log.info('Metric definition saved', { device_type: definition.device_type, metric: definition.name });
+    return definition;
+  } catch (error) {
+    log.error('Error creating metric definition', { err: error });
+    throw error;
+  }
+}
+
+async function updateMetricDefinition(metricId, patch) {
+  try {
+    const [definition] = await storage.update('metric_definitions', { where: { metric_id: metricId } }, {
+      ...patch,
+      updated_at: new Date().toISOString()
+    });
+    return definition || null;
+  } catch (error) {
+    log.error('Error updating metric definition', { err: error });
+    throw error;
+  }
+}
+
+async function deleteMetricDefinition(metricId) {
+  try {
+    const removed = await storage.remove('metric_definitions', { where: { metric_id: metricId } });
+    return removed.length > 0;
+  } catch (error) {
+    log.error('Error deleting metric definition', { err: error });
+    throw error;
+  }
+}
+
+// ==================== DEVICE GROUPS ====================
+
+async function getGroups() {
+  try {
+    return await storage.select('device_groups', {
+      orderBy: 'name',
+      ascending: true
+    });
+  } catch (error) {
+    log.error('Error getting groups', { err: error });
+    throw error;
+  }
+}
+
+async function getGroupById(groupId) {
+  try {
+    const [group] = await storage.select('device_groups', {
+      where: { group_id: groupId },
+      limit: 1
+    });
+    return group || null;
+  } catch (error) {
+    log.error('Error getting group', { err: error });
+    throw error;
+  }
+}
+
+async function createGroup(data) {
+  try {
+    const now = new Date().toISOString();
+    const [group] = await storage.insert('device_groups', [
+      {
+        ...data,
+        group_id: crypto.randomUUID(),
+        created_at: now,
+        updated_at: now
+      }
+    ]);
+
+    log.info('Group saved', { group_id: group.group_id });
+    return group;
+  } catch (error) {
+    log.error('Error creating group', { err: error });
+    throw error;
+  }
+}
+
+async function updateGroup(groupId, patch) {
+  try {
+    const [group] = await storage.update('device_groups', { where: { group_id: groupId } }, {
+      ...patch,
+      updated_at: new Date().toISOString()
+    });
+    return group || null;
+  } catch (error) {
+    log.error('Error updating group', { err: error });
+    throw error;
+  }
+}
+
+async function deleteGroup(groupId) {
+  try {
+    const removed = await storage.remove('device_groups', { where: { group_id: groupId } });
+    return removed.length > 0;
+  } catch (error) {
+    log.error('Error deleting group', { err: error });
+    throw error;
+  }
+}
+
+// Satu baris per group command, command per device punya batch_id yang sama
+async function saveCommandBatch(data) {
+  try {
+    const [batch] = await storage.insert('command_batches', [data]);
+    return batch;
+  } catch (error) {
+    log.error('Error saving command batch', { err: error });
+    throw error;
+  }
+}
+
+async function getCommandBatchById(batchId) {
+  try {
+    const [batch] = await storage.select('command_batches', {
+      where: { batch_id: batchId },
+      limit: 1
+    });
+    return batch || null;
+  } catch (error) {
+    log.error('Error getting command batch', { err: error });
+    throw error;
+  }
+}
+
+// filters: group_id, type, status, limit
+async function getCommandBatches(filters = {}) {
+  try {
+    const where = {};
+    for (const field of ['group_id', 'type', 'status']) {
+      if (filters[field]) {
+        where[field] = filters[field];
+      }
+    }
+
+    return await storage.select('command_batches', {
+      where,
+      orderBy: 'created_at',
+      ascending: false,
+      limit: filters.limit || 100
+    });
+  } catch (error) {
+    log.error('Error getting command batches', { err: error });
+    throw error;
+  }
+}
+
+// ==================== INGEST DEAD-LETTER ====================
+
+// Simpan message sensor yang tidak valid supaya bisa diperiksa
+async function saveIngestError(data) {
+  try {
+    const [ingestError] = await storage.insert('ingest_errors', [data]);
+    return ingestError;
+  } catch (error) {
+    log.error('Error saving ingest error', { err: error });
+    throw error;
+  }
+}
+
+function ingestErrorWhere(filters) {
+  const where = {};
+  if (filters.device_id) where.device_id = filters.device_id;
+  if (filters.reason) where.reason = filters.reason;
+  if (filters.from || filters.to) {
+    where.created_at = {};
+    if (filters.from) where.created_at.gte = filters.from;
+    if (filters.to) where.created_at.lte = filters.to;
+  }
+  return where;
+}
+
+// Get dead-letter messages, newest first. filters: device_id, reason, from, to, limit
+async function getIngestErrors(filters = {}) {
+  try {
+    return await storage.select('ingest_errors', {
+      where: ingestErrorWhere(filters),
+      orderBy: 'created_at',
+      ascending: false,
+      limit: filters.limit || 100
+    });
+  } catch (error) {
+    log.error('Error getting ingest errors', { err: error });
+    throw error;
+  }
+}
+
+// Jumlah dead-letter per device dan per reason
+async function getIngestErrorCounts(filters = {}) {
+  try {
+    const rows = await storage.select('ingest_errors', {
+      where: ingestErrorWhere(filters)
+    });
+
+    const counts = { total: rows.length, by_device: {}, by_reason: {} };
+    for (const row of rows) {
+      const device = row.device_id || 'unknown';
+      counts.by_device[device] = (counts.by_device[device] || 0) + 1;
+      counts.by_reason[row.reason] = (counts.by_reason[row.reason] || 0) + 1;
+    }
+    return counts;
+  } catch (error) {
+    log.error('Error counting ingest errors', { err: error });
+    throw error;
+  }
+}
+
+// ==================== AUTOMATION RULES ====================
+
+// Get automation rules. filters: device_id (juga rule global), enabled
+async function getRules(filters = {}) {
+  try {
+    const where = {};
+    if (filters.enabled !== undefined) {
+      where.enabled = filters.enabled;
+    }
+
+    const rules = await storage.select('automation_rules', {
+      where,
+      orderBy: 'created_at',
+      ascending: true
+    });
+
+    // Rule tanpa device_id berlaku untuk semua device
+    if (filters.device_id) {
+      return rules.filter((rule) => !rule.device_id || rule.device_id === filters.device_id);
+    }
+    return rules;
+  } catch (error) {
+    log.error('Error getting rules', { err: error });
+    throw error;
+  }
+}
+
+async function getRuleById(ruleId) {
+  try {
+    const [rule] = await storage.select('automation_rules', {
+      where: { rule_id: ruleId },
+      limit: 1
+    });
+    return rule || null;
+  } catch (error) {
+    log.error('Error getting rule', { err: error });
+    throw error;
+  }
+}
+
+async function createRule(data) {
+  try {
+    const now = new Date().toISOString();
+    const [rule] = await storage.insert('automation_rules', [
+      {
+        ...data,
+        rule_id: crypto.randomUUID(),
+        state: {},
+        state_version: 0,
+        created_at: now,
+        updated_at: now
+      }
+    ]);
+
+    log.info('Rule saved', { rule_id: rule.rule_id });
+    return rule;
+  } catch (error) {
+    log.error('Error creating rule', { err: error });
+    throw error;
+  }
+}
+
+// expected = kolom yang harus masih sama (conditional update), contoh
+// { state_version: 3 }. Returns null kalau rule tidak ada atau sudah berubah.
+async function updateRule(ruleId, patch, expected = {}) {
+  try {
+    const [rule] = await storage.update('automation_rules', { where: { ...expected, rule_id: ruleId } }, {
+      ...patch,
+      updated_at: new Date().toISOString()
+    });
+    return rule || null;
+  } catch (error) {
+    log.error('Error updating rule', { err: error });
+    throw error;
+  }
+}
+
+async function deleteRule(ruleId) {
+  try {
+    const removed = await storage.remove('automation_rules', { where: { rule_id: ruleId } });
+    return removed.length > 0;
+  } catch (error) {
+    log.error('Error deleting rule', { err: error });
+    throw error;
+  }
+}
+
+// Log setiap kali rule trigger
+async function saveRuleExecution(data) {
+  try {
+    const [execution] = await storage.insert('rule_executions', [data]);
+    return execution;
+  } catch (error) {
+    log.error('Error saving rule execution', { err: error });
+    throw error;
+  }
+}
+
+async function getRuleExecutions(ruleId, limit = 50) {
+  try {
+    return await storage.select('rule_executions', {
+      where: { rule_id: ruleId },
+      orderBy: 'created_at',
+      ascending: false,
+      limit
+    });
+  } catch (error) {
+    log.error('Error getting rule executions', { err: error });
+    throw error;
+  }
+}
+
+// ==================== SCHEDULES ====================
+
+async function getSchedules(filters = {}) {
+  try {
+    const where = {};
+    if (filters.device_id) {
+      where.device_id = filters.device_id;
+    }
+
+    return await storage.select('schedules', {
+      where,
+      orderBy: 'created_at',
+      ascending: true
+    });
+  } catch (error) {
+    log.error('Error getting schedules', { err: error });
+    throw error;
+  }
+}
+
+// Schedule yang aktif dan sudah waktunya jalan
+async function getDueSchedules(now = new Date().toISOString()) {
+  try {
+    return await storage.select('schedules', {
+      where: {
+        paused: false,
+        next_run_at: { lte: now }
+      },
+      orderBy: 'next_run_at',
+      ascending: true
+    });
+  } catch (error) {
+    log.error('Error getting due schedules', { err: error });
+    throw error;
+  }
+}
+
+async function getScheduleById(scheduleId) {
+  try {
+    const [schedule] = await storage.select('schedules', {
+      where: { schedule_id: scheduleId },
+      limit: 1
+    });
+    return schedule || null;
+  } catch (error) {
+    log.error('Error getting schedule', { err: error });
+    throw error;
+  }
+}
+
+async function createSchedule(data) {
+  try {
+    const now = new Date().toISOString();
+    const [schedule] = await storage.insert('schedules', [
+      {
+        ...data,
+        schedule_id: crypto.randomUUID(),
+        created_at: now,
+        updated_at: now
+      }
+    ]);
+
+    log.info('Schedule saved', { schedule_id: schedule.schedule_id });
+    return schedule;
+  } catch (error) {
+    log.error('Error creating schedule', { err: error });
+    throw error;
+  }
+}
+
+// `expected` dipakai sebagai optimistic lock, contoh { next_run_at: ... },
+// supaya dua worker tidak menjalankan schedule yang sama
+async function updateSchedule(scheduleId, patch, expected = {}) {
+  try {
+    const [schedule] = await storage.update('schedules', { where: { ...expected, schedule_id: scheduleId } }, {
+      ...patch,
+      updated_at: new Date().toISOString()
+    });
+    return schedule || null;
+  } catch (error) {
+    log.error('Error updating schedule', { err: error });
+    throw error;
+  }
+}
+
+async function deleteSchedule(scheduleId) {
+  try {
+    const removed = await storage.remove('schedules', { where: { schedule_id: scheduleId } });
+    return removed.length > 0;
+  } catch (error) {
+    log.error('Error deleting schedule', { err: error });
+    throw error;
+  }
+}
+
+async function saveScheduleExecution(data) {
+  try {
+    const [execution] = await storage.insert('schedule_executions', [data]);
+    return execution;
+  } catch (error) {
+    log.error('Error saving schedule execution', { err: error });
+    throw error;
+  }
+}
+
+async function updateScheduleExecution(executionId, patch, expected = {}) {
+  try {
+    const [execution] = await storage.update('schedule_executions', { where: { ...expected, id: executionId } }, patch);
+    return execution || null;
+  } catch (error) {
+    log.error('Error updating schedule execution', { err: error });
+    throw error;
+  }
+}
+
+async function getScheduleExecutions(scheduleId, limit = 50) {
+  try {
+    return await storage.select('schedule_executions', {
+      where: { schedule_id: scheduleId },
+      orderBy: 'created_at',
+      ascending: false,
+      limit
+    });
+  } catch (error) {
+    log.error('Error getting schedule executions', { err: error });
+    throw error;
+  }
+}
+
+// Timed action yang sudah waktunya dikembalikan (contoh: water off setelah 10 menit)
+async function getDueReverts(now = new Date().toISOString()) {
+  try {
+    return await storage.select('schedule_executions', {
+      where: {
+        revert_status: 'pending',
+        revert_at: { lte: now }
+      },
+      orderBy: 'revert_at',
+      ascending: true
+    });
+  } catch (error) {
+    log.error('Error getting due reverts', { err: error });
+    throw error;
+  }
+}
+
+// ==================== ALERTS ====================
+
+// filters: device_id (juga threshold global), enabled
+async function getAlertThresholds(filters = {}) {
+  try {
+    const where = {};
+    if (filters.enabled !== undefined) {
+      where.enabled = filters.enabled;
+    }
+
+    const thresholds = await storage.select('alert_thresholds', {
+      where,
+      orderBy: 'created_at',
+      ascending: true
+    });
+
+    // Threshold tanpa device_id berlaku untuk semua device
+    if (filters.device_id) {
+      return thresholds.filter((threshold) => !threshold.device_id || threshold.device_id === filters.device_id);
+    }
+    return thresholds;
+  } catch (error) {
+    log.error('Error getting alert thresholds', { err: error });
+    throw error;
+  }
+}
+
+async function getAlertThresholdById(thresholdId) {
+  try {
+    const [threshold] = await storage.select('alert_thresholds', {
+      where: { threshold_id: thresholdId },
+      limit: 1
+    });
+    return threshold || null;
+  } catch (error) {
+    log.error('Error getting alert threshold', { err: error });
+    throw error;
+  }
+}
+
+async function createAlertThreshold(data) {
+  try {
+    const now = new Date().toISOString();
+    const [threshold] = await storage.insert('alert_thresholds', [
+      {
+        ...data,
+        threshold_id: crypto.randomUUID(),
+        state: {},
+        state_version: 0,
+        created_at: now,
+        updated_at: now
+      }
+    ]);
+
+    log.info('Alert threshold saved', { threshold_id: threshold.threshold_id });
+    return threshold;
+  } catch (error) {
+    log.error('Error creating alert threshold', { err: error });
+    throw error;
+  }
+}
+
+// expected = kolom yang harus masih sama (conditional update), seperti updateRule.
+// Returns null kalau threshold tidak ada atau sudah berubah.
+async function updateAlertThreshold(thresholdId, patch, expected = {}) {
+  try {
+    const [threshold] = await storage.update('alert_thresholds', { where: { ...expected, threshold_id: thresholdId } }, {
+      ...patch,
+      updated_at: new Date().toISOString()
+    });
+    return threshold || null;
+  } catch (error) {
+    log.error('Error updating alert threshold', { err: error });
+    throw error;
+  }
+}
+
+async function deleteAlertThreshold(thresholdId) {
+  try {
+    const removed = await storage.remove('alert_thresholds', { where: { threshold_id: thresholdId } });
+    return removed.length > 0;
+  } catch (error) {
+    log.error('Error deleting alert threshold', { err: error });
+    throw error;
+  }
+}
+
+// Get alerts, newest first. filters: device_id, status, severity, type, limit
+async function getAlerts(filters = {}) {
+  try {
+    const where = {};
+    for (const field of ['device_id', 'status', 'severity', 'type']) {
+      if (filters[field]) {
+        where[field] = filters[field];
+      }
+    }
+
+    return await storage.select('alerts', {
+      where,
+      orderBy: 'opened_at',
+      ascending: false,
+      limit: filters.limit || 100
+    });
+  } catch (error) {
+    log.error('Error getting alerts', { err: error });
+    throw error;
+  }
+}
+
+async function getAlertById(alertId) {
+  try {
+    const [alert] = await storage.select('alerts', {
+      where: { alert_id: alertId },
+      limit: 1
+    });
+    return alert || null;
+  } catch (error) {
+    log.error('Error getting alert', { err: error });
+    throw error;
+  }
+}
+
+// Alert yang belum resolved untuk dedup key yang sama
+async function getActiveAlert(dedupKey) {
+  try {
+    const [alert] = await storage.select('alerts', {
+      where: { dedup_key: dedupKey, status: { in: ['open', 'acknowledged'] } },
+      limit: 1
+    });
+    return alert || null;
+  } catch (error) {
+    log.error('Error getting active alert', { err: error });
+    throw error;
+  }
+}
+
+async function createAlert(data) {
+  try {
+    const [alert] = await storage.insert('alerts', [
+      {
+        ...data,
+        alert_id: crypto.randomUUID(),
+        status: 'open',
+        opened_at: new Date().toISOString(),
+        notify_count: 0
+      }
+    ]);
+
+    eventStream.publish('alert', alert.device_id, alert);
+    return alert;
+  } catch (error) {
+    log.error('Error creating alert', { err: error });
+    throw error;
+  }
+}
+
+async function updateAlert(alertId, patch) {
+  try {
+    const [alert] = await storage.update('alerts', { where: { alert_id: alertId } }, patch);
+    if (alert) {
+      eventStream.publish('alert', alert.device_id, alert);
+    }
+    return alert || null;
+  } catch (error) {
+    log.error('Error updating alert', { err: error });
+    throw error;
+  }
+}
 
 module.exports = {
   supabase,
+  storage,
+  useStorage,
+  getStorage,
+  flushStorage,
   initDatabase,
   saveSensorData,
+  saveSensorReadings,
+  getSensorTimestamps,
+  saveCommand,
   saveServoCommand,
+  saveWaterCommand,
+  updateCommandStatus,
+  getCommandById,
+  getCommands,
+  getQueuedCommands,
+  isCommandExpired,
   getLatestSensorData,
   getSensorHistory,
+  RETENTION,
+  ROLLUP_TABLES,
+  ROLLUP_BUCKET_MS,
+  getRetentionCutoff,
+  getHistorySources,
+  getRollupWatermark,
+  getSensorDataRange,
+  getOldestTimestamp,
+  getRollups,
+  saveRollups,
+  deleteSensorRange,
   getDevices,
   getAllDevicesLatestData,
-  isDatabaseEnabled
+  enableLatestReadingCache,
+  getDeviceById,
+  createDevice,
+  updateDevice,
+  deleteDevice,
+  createDeviceToken,
+  verifyDeviceToken,
+  getDeviceTokens,
+  revokeDeviceTokens,
+  setDeviceStatus,
+  getDeviceEvents,
+  getDeviceAvailability,
+  getDeviceShadow,
+  saveDeviceShadow,
+  getMetricDefinitions,
+  getMetricDefinitionById,
+  createMetricDefinition,
+  updateMetricDefinition,
+  deleteMetricDefinition,
+  getGroups,
+  getGroupById,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  saveCommandBatch,
+  getCommandBatchById,
+  getCommandBatches,
+  saveIngestError,
+  getIngestErrors,
+  getIngestErrorCounts,
+  getRules,
+  getRuleById,
+  createRule,
+  updateRule,
+  deleteRule,
+  saveRuleExecution,
+  getRuleExecutions,
+  getSchedules,
+  getDueSchedules,
+  getScheduleById,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  saveScheduleExecution,
+  updateScheduleExecution,
+  getScheduleExecutions,
+  getDueReverts,
+  getAlertThresholds,
+  getAlertThresholdById,
+  createAlertThreshold,
+  updateAlertThreshold,
+  deleteAlertThreshold,
+  getAlerts,
+  getAlertById,
+  getActiveAlert,
+  createAlert,
+  updateAlert,
+  isDatabaseEnabled,
+  COMMAND_STATUSES,
+  COMMAND_TYPES,
+  COMMAND_SOURCES,
+  COMMAND_TIMEOUT_MS,
+  COMMAND_TTL_SECONDS
 };
\ No newline at end of file
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { saveCommandBatch } = require('./database');
+const { CommandRejectedError } = require('./errors');
+const { getMetricNames } = require('./aggregation');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'groups' });
+
+// Device group: kumpulan device dengan nama untuk bulk control dan data gabungan.
+//
+// Group command di-fan-out lewat MqttHandler.sendCommand ke setiap member
+// dengan batch_id yang sama, dan dicatat sebagai satu baris command_batches.
+// atomic (default): semua member dicek dulu (registry + safety), kalau ada
+// yang ditolak tidak ada command yang dikirim, supaya panel tidak setengah
+// terbuka setengah tertutup.
+
+const BATCH_STATUSES = ['published', 'queued', 'partial', 'rejected', 'failed'];
+// Serverless mode menunggu ack, jadi command bisa sudah lewat dari published
+const DELIVERED_STATUSES = ['published', 'sent', 'acknowledged', 'completed'];
+
+// Validate group body from the API. partial=true untuk PATCH
+function validateGroup(input, { partial = false } = {}) {
+  const group = {};
+
+  if (input.name !== undefined || !partial) {
+    if (!input.name || typeof input.name !== 'string') {
+      return { error: 'name is required' };
+    }
+    group.name = input.name;
+  }
+  if (input.description !== undefined) {
+    if (input.description !== null && typeof input.description !== 'string') {
+      return { error: 'description must be a string' };
+    }
+    group.description = input.description;
+  }
+  if (input.device_ids !== undefined || !partial) {
+    const deviceIds = input.device_ids;
+    if (!Array.isArray(deviceIds) || deviceIds.length === 0 || deviceIds.some((id) => typeof id !== 'string' || !id)) {
+      return { error: 'device_ids must be a non-empty array of device ids' };
+    }
+    group.device_ids = [...new Set(deviceIds)];
+  }
+
+  return { group };
+}
+
+// Status keseluruhan dari hasil per device
+function getBatchStatus(results) {
+  const accepted = results.filter((result) => DELIVERED_STATUSES.includes(result.status) || result.status === 'queued');
+
+  if (accepted.length === results.length) {
+    return accepted.every((result) => DELIVERED_STATUSES.includes(result.status)) ? 'published' : 'queued';
+  }
+  if (accepted.length > 0) {
+    return 'partial';
+  }
+  return results.some((result) => result.status === 'failed') ? 'failed' : 'rejected';
+}
+
+function rejectedResult(deviceId, error) {
+  if (!(error instanceof CommandRejectedError)) {
+    return { device_id: deviceId, status: 'failed', error: error.message };
+  }
+  return { device_id: deviceId, status: 'rejected', reason: error.reason, error: error.message };
+}
+
+// Cek semua member, null kalau semua lolos
+async function precheckMembers(mqttHandler, deviceIds, type, value) {
+  const checks = await Promise.all(deviceIds.map(async (deviceId) => {
+    try {
+      await mqttHandler.checkCommand(type, deviceId, value);
+      return null;
+    } catch (error) {
+      return rejectedResult(deviceId, error);
+    }
+  }));
+
+  if (checks.every((check) => check === null)) {
+    return null;
+  }
+  return deviceIds.map((deviceId, index) => checks[index] || {
+    device_id: deviceId,
+    status: 'skipped',
+    reason: 'batch_rejected',
+    error: 'Not sent because another group member was rejected'
+  });
+}
+
+// Fan-out servo/water command ke semua member group. Returns command batch
+// dengan hasil per device di `results`.
+async function sendGroupCommand(mqttHandler, group, type, value, { commandBy, source = 'api', ttlSeconds, atomic = true, requestId } = {}) {
+  const batchId = crypto.randomUUID();
+  const deviceIds = group.device_ids || [];
+
+  let results = atomic ? await precheckMembers(mqttHandler, deviceIds, type, value) : null;
+
+  if (!results) {
+    results = await Promise.all(deviceIds.map(async (deviceId) => {
+      try {
+        const command = await mqttHandler.sendCommand(type, deviceId, value, {
+          commandBy,
+          source,
+          ttlSeconds,
+          batchId,
+          requestId
+        });
+        return { device_id: deviceId, status: command.status, command_id: command.command_id };
+      } catch (error) {
+        return rejectedResult(deviceId, error);
+      }
+    }));
+  }
+
+  const batch = await saveCommandBatch({
+    batch_id: batchId,
+    group_id: group.group_id,
+    type,
+    payload: type === 'servo' ? { target_angle: value } : { state: value },
+    command_by: commandBy,
+    source,
+    atomic,
+    status: getBatchStatus(results),
+    device_count: deviceIds.length,
+    results
+  });
+
+  log.info('Group command sent', {
+    batch_id: batchId,
+    group_id: group.group_id,
+    type,
+    status: batch.status,
+    devices: deviceIds.length,
+    request_id: requestId
+  });
+  return batch;
+}
+
+// Ringkasan latest reading member: min/avg/max per metric angka,
+// jumlah device dengan water on
+function summarizeReadings(readings) {
+  const summary = { device_count: readings.length };
+
+  const metrics = new Set(readings.flatMap((reading) => getMetricNames(reading)));
+  for (const metric of metrics) {
+    const values = readings.map((reading) => reading[metric]).filter((value) => typeof value === 'number');
+    if (values.length === 0) continue;
+
+    summary[metric] = {
+      avg: Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100,
+      min: Math.min(...values),
+      max: Math.max(...values),
+      count: values.length
+    };
+  }
+  summary.water_on = readings.filter((reading) => reading.water_state === true).length;
+
+  return summary;
+}
+
+module.exports = {
+  BATCH_STATUSES,
+  validateGroup,
+  sendGroupCommand,
+  summarizeReadings
+};
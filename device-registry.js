@@ -0,0 +1,143 @@
+const { CommandRejectedError } = require('./errors');
+const { validateSafety } = require('./safety');
+
+// Registry metadata device: nama, lokasi, tags dan capabilities.
+//
+// capabilities:
+// {
+//   servo: { min_angle: 0, max_angle: 120 },   // false = tidak punya servo
+//   water: true,
+//   sensors: ['temperature', 'humidity', 'pressure']
+// }
+//
+// capabilities null berarti belum dideklarasikan (device lama), semua command diizinkan.
+// safety: rate limit, batas sudut dan interlock per device (lihat safety.js).
+// Device baru dari ingestion otomatis terdaftar sebagai 'pending' sampai di-approve admin.
+
+const DEVICE_STATUSES = ['pending', 'approved', 'rejected'];
+// device_type menentukan metric tambahan dari metric registry
+const EDITABLE_STRING_FIELDS = ['device_name', 'device_type', 'location', 'site', 'description'];
+
+function validateCapabilities(capabilities) {
+  if (capabilities === null) {
+    return null;
+  }
+  if (typeof capabilities !== 'object' || Array.isArray(capabilities)) {
+    return 'capabilities must be an object';
+  }
+
+  const { servo, water, sensors } = capabilities;
+  if (servo !== undefined && servo !== false && servo !== true) {
+    if (typeof servo !== 'object' || servo === null) {
+      return 'capabilities.servo must be false or { min_angle, max_angle }';
+    }
+    const min = servo.min_angle === undefined ? 0 : servo.min_angle;
+    const max = servo.max_angle === undefined ? 180 : servo.max_angle;
+    if (typeof min !== 'number' || typeof max !== 'number' || min < 0 || max > 180 || min > max) {
+      return 'capabilities.servo angle limits must be within 0..180 with min_angle <= max_angle';
+    }
+  }
+  if (water !== undefined && typeof water !== 'boolean') {
+    return 'capabilities.water must be a boolean';
+  }
+  if (sensors !== undefined && (!Array.isArray(sensors) || sensors.some((sensor) => typeof sensor !== 'string'))) {
+    return 'capabilities.sensors must be an array of strings';
+  }
+  return null;
+}
+
+// Validate device body from the API. partial=true untuk PATCH
+function validateDevice(input, { partial = false } = {}) {
+  const device = {};
+
+  for (const field of EDITABLE_STRING_FIELDS) {
+    if (input[field] !== undefined) {
+      if (input[field] !== null && typeof input[field] !== 'string') {
+        return { error: `${field} must be a string` };
+      }
+      device[field] = input[field];
+    }
+  }
+  if (input.tags !== undefined) {
+    if (!Array.isArray(input.tags) || input.tags.some((tag) => typeof tag !== 'string')) {
+      return { error: 'tags must be an array of strings' };
+    }
+    device.tags = input.tags;
+  }
+  if (input.capabilities !== undefined) {
+    const error = validateCapabilities(input.capabilities);
+    if (error) return { error };
+    device.capabilities = input.capabilities;
+  }
+  if (input.safety !== undefined) {
+    const error = validateSafety(input.safety);
+    if (error) return { error };
+    device.safety = input.safety;
+  }
+  if (input.status !== undefined) {
+    if (!DEVICE_STATUSES.includes(input.status)) {
+      return { error: `status must be one of: ${DEVICE_STATUSES.join(', ')}` };
+    }
+    device.status = input.status;
+  }
+  for (const field of ['report_interval_seconds', 'max_missed_reports']) {
+    if (input[field] !== undefined) {
+      if (input[field] !== null && (!Number.isInteger(input[field]) || input[field] <= 0)) {
+        return { error: `${field} must be a positive integer` };
+      }
+      device[field] = input[field];
+    }
+  }
+
+  if (!partial && device.status === undefined) {
+    // Device yang didaftarkan manual oleh admin langsung approved
+    device.status = 'approved';
+  }
+
+  return { device };
+}
+
+function getServoLimits(capabilities) {
+  const servo = capabilities.servo;
+  if (servo === true) {
+    return { min: 0, max: 180 };
+  }
+  return {
+    min: servo.min_angle === undefined ? 0 : servo.min_angle,
+    max: servo.max_angle === undefined ? 180 : servo.max_angle
+  };
+}
+
+// Throws CommandRejectedError kalau device tidak boleh menerima command ini
+function assertCommandAllowed(device, type, value) {
+  if (!device) {
+    throw new CommandRejectedError('unknown_device', 'Device is not registered', 404);
+  }
+  if (device.status && device.status !== 'approved') {
+    throw new CommandRejectedError('device_not_approved', `Device ${device.device_id} is ${device.status}`, 409);
+  }
+
+  const capabilities = device.capabilities;
+  if (!capabilities) {
+    return;
+  }
+
+  if (type === 'servo') {
+    if (!capabilities.servo) {
+      throw new CommandRejectedError('capability_missing', `Device ${device.device_id} has no servo`, 422);
+    }
+    const { min, max } = getServoLimits(capabilities);
+    if (value < min || value > max) {
+      throw new CommandRejectedError('angle_out_of_range', `Angle ${value} outside device limits ${min}..${max}`, 422);
+    }
+  }
+  if (type === 'water' && !capabilities.water) {
+    throw new CommandRejectedError('capability_missing', `Device ${device.device_id} has no water valve`, 422);
+  }
+}
+
+module.exports = {
+  DEVICE_STATUSES,
+  validateDevice,
+  assertCommandAllowed
+};
@@ -0,0 +1,262 @@
+const {
+  getDeviceShadow,
+  saveDeviceShadow,
+  getCommands,
+  getCommandById
+} = require('./database');
+const { CommandRejectedError } = require('./errors');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'shadow' });
+
+// Device shadow: desired state (command terakhir yang ter-publish dari control
+// API, rules atau schedules) vs reported state (servo_state/water_state dari
+// sensor payload). Kalau device reconnect atau report state yang beda dari
+// desired, desired state di-publish ulang (source 'shadow').
+//
+// Re-publish dilewati selama masih ada command untuk actuator itu yang belum
+// selesai, dan paling cepat sekali per SHADOW_RECONCILE_COOLDOWN_SECONDS per device.
+//
+// Desired servo = final_angle (sudut setelah di-clamp device, dari ack), dan
+// reported dianggap sama kalau selisihnya <= SHADOW_SERVO_TOLERANCE_DEGREES.
+
+// field shadow -> command type
+const SHADOW_FIELDS = {
+  servo_state: 'servo',
+  water_state: 'water'
+};
+const PENDING_STATUSES = ['queued', 'published', 'sent', 'acknowledged'];
+const RECONCILE_COOLDOWN_MS = (process.env.SHADOW_RECONCILE_COOLDOWN_SECONDS !== undefined
+  ? parseInt(process.env.SHADOW_RECONCILE_COOLDOWN_SECONDS)
+  : 60) * 1000;
+const SERVO_TOLERANCE = process.env.SHADOW_SERVO_TOLERANCE_DEGREES !== undefined
+  ? parseFloat(process.env.SHADOW_SERVO_TOLERANCE_DEGREES)
+  : 2;
+
+function isSameState(field, desired, reported) {
+  if (reported === undefined || reported === null) {
+    return false;
+  }
+  if (field === 'servo_state') {
+    return Math.abs(Number(reported) - Number(desired)) <= SERVO_TOLERANCE;
+  }
+  return reported === desired;
+}
+
+// { field: { desired, reported } } untuk setiap field desired yang belum sama
+function computeDelta(shadow) {
+  const delta = {};
+  if (!shadow) {
+    return delta;
+  }
+
+  const desired = shadow.desired || {};
+  const reported = shadow.reported || {};
+  for (const field of Object.keys(SHADOW_FIELDS)) {
+    if (desired[field] === undefined || desired[field] === null) continue;
+    if (!isSameState(field, desired[field], reported[field])) {
+      delta[field] = { desired: desired[field], reported: reported[field] === undefined ? null : reported[field] };
+    }
+  }
+  return delta;
+}
+
+// Shadow dalam bentuk response API
+function formatShadow(deviceId, shadow) {
+  const delta = computeDelta(shadow);
+  return {
+    device_id: deviceId,
+    desired: (shadow && shadow.desired) || {},
+    reported: (shadow && shadow.reported) || {},
+    delta,
+    in_sync: Object.keys(delta).length === 0,
+    desired_updated_at: shadow ? shadow.desired_updated_at : null,
+    reported_at: shadow ? shadow.reported_at : null,
+    last_sync_at: shadow ? shadow.last_sync_at : null,
+    last_reconcile_at: shadow ? shadow.last_reconcile_at : null,
+    last_reconcile_error: shadow ? shadow.last_reconcile_error : null,
+    reconcile_count: shadow ? shadow.reconcile_count || 0 : 0
+  };
+}
+
+function commandValue(command) {
+  if (command.type !== 'servo') {
+    return command.payload.state;
+  }
+  return command.payload.final_angle !== undefined && command.payload.final_angle !== null
+    ? command.payload.final_angle
+    : command.payload.target_angle;
+}
+
+class DeviceShadow {
+  constructor(mqttHandler) {
+    this.mqttHandler = mqttHandler;
+    // Device yang sedang di-reconcile (reconnect + drift bisa datang bersamaan)
+    this.reconciling = new Set();
+  }
+
+  // Re-publish desired state saat device kembali online, dan ikuti final_angle
+  // dari ack command servo
+  listen(eventStream) {
+    eventStream.on('event', (event) => {
+      if (event.type === 'command') {
+        this.updateFinalAngle(event.data).catch((error) => {
+          log.error('Error updating desired servo angle', { device_id: event.device_id, err: error });
+        });
+        return;
+      }
+      if (event.type !== 'device' || event.data.is_online !== true) {
+        return;
+      }
+      this.reconcile(event.device_id, { reason: 'reconnect' }).catch((error) => {
+        log.error('Error reconciling device shadow', { device_id: event.device_id, err: error });
+      });
+    });
+  }
+
+  // Dipanggil setelah command ter-publish ke broker
+  async setDesired(command) {
+    if (command.source === 'shadow') {
+      return null;
+    }
+
+    const field = Object.keys(SHADOW_FIELDS).find((key) => SHADOW_FIELDS[key] === command.type);
+    const shadow = await getDeviceShadow(command.device_id);
+
+    return saveDeviceShadow(command.device_id, {
+      desired: { ...((shadow && shadow.desired) || {}), [field]: commandValue(command) },
+      desired_updated_at: new Date().toISOString(),
+      desired_command_id: command.command_id
+    });
+  }
+
+  // Ack servo bisa membawa final_angle yang beda dari target (di-clamp device),
+  // desired ikut final_angle selama command itu masih desired terakhir
+  async updateFinalAngle(command) {
+    if (command.type !== 'servo' || command.source === 'shadow' || !['acknowledged', 'completed'].includes(command.status)) {
+      return null;
+    }
+
+    const shadow = await getDeviceShadow(command.device_id);
+    const value = commandValue(command);
+    if (!shadow || shadow.desired_command_id !== command.command_id || (shadow.desired || {}).servo_state === value) {
+      return null;
+    }
+
+    return saveDeviceShadow(command.device_id, {
+      desired: { ...shadow.desired, servo_state: value }
+    });
+  }
+
+  // Simpan reported state dari reading, re-publish kalau drift.
+  // fields = field yang benar-benar dikirim device (bukan default schema)
+  async handleReport(reading, fields = Object.keys(SHADOW_FIELDS)) {
+    const reported = {};
+    for (const field of Object.keys(SHADOW_FIELDS)) {
+      if (fields.includes(field) && reading[field] !== undefined && reading[field] !== null) {
+        reported[field] = reading[field];
+      }
+    }
+    if (Object.keys(reported).length === 0) {
+      return null;
+    }
+
+    const existing = await getDeviceShadow(reading.device_id);
+    const now = new Date().toISOString();
+    const patch = {
+      reported: { ...((existing && existing.reported) || {}), ...reported },
+      reported_at: now
+    };
+
+    const inSync = Object.keys(computeDelta({ ...existing, ...patch })).length === 0;
+    if (inSync) {
+      patch.last_sync_at = now;
+      patch.last_reconcile_error = null;
+    }
+
+    const shadow = await saveDeviceShadow(reading.device_id, patch);
+    if (!inSync) {
+      await this.reconcile(reading.device_id, { reason: 'drift', shadow });
+    }
+    return shadow;
+  }
+
+  // true kalau masih ada command type ini ke device yang belum selesai
+  async hasPendingCommand(deviceId, type) {
+    const [latest] = await getCommands({ device_id: deviceId, type, limit: 1 });
+    if (!latest || !PENDING_STATUSES.includes(latest.status)) {
+      return false;
+    }
+
+    // getCommandById menandai timeout/expired kalau sudah lewat waktunya
+    const current = await getCommandById(latest.command_id);
+    return PENDING_STATUSES.includes(current.status);
+  }
+
+  // Publish ulang desired state yang belum sama dengan reported (delta),
+  // reason 'reconnect' atau 'drift'.
+  async reconcile(deviceId, options = {}) {
+    if (this.reconciling.has(deviceId)) {
+      return [];
+    }
+
+    this.reconciling.add(deviceId);
+    try {
+      return await this.reconcileDevice(deviceId, options);
+    } finally {
+      this.reconciling.delete(deviceId);
+    }
+  }
+
+  async reconcileDevice(deviceId, { reason, shadow, now = new Date() }) {
+    shadow = shadow || (await getDeviceShadow(deviceId));
+    if (!shadow || !shadow.desired) {
+      return [];
+    }
+
+    if (shadow.last_reconcile_at && now - new Date(shadow.last_reconcile_at) < RECONCILE_COOLDOWN_MS) {
+      return [];
+    }
+
+    const fields = Object.keys(computeDelta(shadow));
+
+    const results = [];
+    const errors = [];
+    for (const field of fields) {
+      const type = SHADOW_FIELDS[field];
+      if (await this.hasPendingCommand(deviceId, type)) {
+        continue;
+      }
+
+      try {
+        const command = await this.mqttHandler.sendCommand(type, deviceId, shadow.desired[field], {
+          commandBy: `shadow:${reason}`,
+          source: 'shadow'
+        });
+        results.push({ field, command_id: command.command_id, status: command.status });
+      } catch (error) {
+        if (!(error instanceof CommandRejectedError)) {
+          throw error;
+        }
+        errors.push(`${field}: ${error.message}`);
+      }
+    }
+
+    if (results.length > 0 || errors.length > 0) {
+      await saveDeviceShadow(deviceId, {
+        last_reconcile_at: now.toISOString(),
+        last_reconcile_error: errors.length > 0 ? errors.join('; ') : null,
+        reconcile_count: (shadow.reconcile_count || 0) + results.length
+      });
+      log.info('Shadow reconcile', { device_id: deviceId, reason, fields: results.map((result) => result.field), errors });
+    }
+    return results;
+  }
+}
+
+module.exports = {
+  DeviceShadow,
+  SHADOW_FIELDS,
+  computeDelta,
+  formatShadow
+};
@@ -0,0 +1,80 @@
+const { getDevices, setDeviceStatus } = require('./database');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'watchdog' });
+
+// Watchdog yang menandai device offline kalau tidak lapor data selama
+// report_interval_seconds * max_missed_reports. Nilai per device (kolom di
+// tabel devices) mengalahkan default dari env.
+
+const DEFAULT_REPORT_INTERVAL_SECONDS = parseInt(process.env.DEVICE_REPORT_INTERVAL_SECONDS) || 60;
+const DEFAULT_MAX_MISSED_REPORTS = parseInt(process.env.DEVICE_MAX_MISSED_REPORTS) || 3;
+const WATCHDOG_INTERVAL_MS = parseInt(process.env.WATCHDOG_INTERVAL_MS) || 30000;
+
+function getOfflineThresholdMs(device) {
+  const interval = device.report_interval_seconds || DEFAULT_REPORT_INTERVAL_SECONDS;
+  const maxMissed = device.max_missed_reports || DEFAULT_MAX_MISSED_REPORTS;
+  return interval * maxMissed * 1000;
+}
+
+// Umur reading, stale kalau lebih tua dari batas offline device
+function getReadingAge(reading, device, now = new Date()) {
+  const ageMs = Math.max(0, now - new Date(reading.timestamp));
+  const thresholdMs = getOfflineThresholdMs(device || {});
+
+  return {
+    age_seconds: Math.round(ageMs / 1000),
+    stale_after_seconds: thresholdMs / 1000,
+    stale: ageMs > thresholdMs
+  };
+}
+
+class DeviceWatchdog {
+  constructor({ intervalMs = WATCHDOG_INTERVAL_MS } = {}) {
+    this.intervalMs = intervalMs;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.check(), this.intervalMs);
+    log.info('Device watchdog started', { interval_seconds: this.intervalMs / 1000 });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Returns device ids yang baru ditandai offline
+  async check(now = new Date()) {
+    const markedOffline = [];
+
+    try {
+      const devices = await getDevices();
+
+      for (const device of devices) {
+        if (!device.is_online) continue;
+
+        const lastSeen = device.last_seen ? new Date(device.last_seen).getTime() : 0;
+        if (now.getTime() - lastSeen <= getOfflineThresholdMs(device)) continue;
+
+        const event = await setDeviceStatus(device.device_id, false, { reason: 'missed_reports' });
+        if (event) markedOffline.push(device.device_id);
+      }
+    } catch (error) {
+      log.error('Device watchdog check failed', { err: error });
+    }
+
+    return markedOffline;
+  }
+}
+
+module.exports = {
+  DeviceWatchdog,
+  getOfflineThresholdMs,
+  getReadingAge
+};
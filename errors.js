@@ -0,0 +1,14 @@
+// Error untuk command yang ditolak sebelum dipublish ke device.
+// `status` dipakai route sebagai HTTP status, `reason` kode singkat untuk client.
+class CommandRejectedError extends Error {
+  constructor(reason, message, status = 400) {
+    super(message);
+    this.name = 'CommandRejectedError';
+    this.reason = reason;
+    this.status = status;
+  }
+}
+
+module.exports = {
+  CommandRejectedError
+};
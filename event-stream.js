@@ -0,0 +1,129 @@
+const { EventEmitter } = require('events');
+
+// Event bus untuk streaming real-time (sensor, command, device, alert) ke dashboard.
+// Event terakhir disimpan di ring buffer supaya client yang reconnect bisa
+// melanjutkan dari Last-Event-ID. Buffer ini per-process: di Vercel setiap
+// instance punya buffer sendiri.
+
+const EVENT_TYPES = ['sensor', 'command', 'device', 'alert'];
+const BUFFER_SIZE = parseInt(process.env.EVENT_BUFFER_SIZE) || 1000;
+const HEARTBEAT_MS = 15000;
+
+class EventStream extends EventEmitter {
+  constructor(bufferSize = BUFFER_SIZE) {
+    super();
+    this.setMaxListeners(0);
+    this.bufferSize = bufferSize;
+    this.buffer = [];
+    // Mulai dari waktu boot supaya id tetap naik setelah restart
+    this.lastId = Date.now();
+  }
+
+  publish(type, deviceId, data) {
+    const event = {
+      id: ++this.lastId,
+      type,
+      device_id: deviceId,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  // Buffered events setelah lastEventId yang lolos filter
+  since(lastEventId, filter = {}) {
+    return this.buffer.filter((event) => event.id > lastEventId && matchesFilter(event, filter));
+  }
+}
+
+function matchesFilter(event, { deviceIds, types }) {
+  if (deviceIds && deviceIds.length > 0 && !deviceIds.includes(event.device_id)) {
+    return false;
+  }
+  if (types && types.length > 0 && !types.includes(event.type)) {
+    return false;
+  }
+  return true;
+}
+
+function parseList(value) {
+  if (!value) return [];
+  return String(value).split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+const eventStream = new EventStream();
+
+// Express handler untuk Server-Sent Events.
+// Query: device_id=a,b  types=sensor,command  last_event_id=123
+function sseHandler(req, res) {
+  const filter = {
+    deviceIds: parseList(req.query.device_id),
+    types: parseList(req.query.types)
+  };
+
+  // Identity dengan akses terbatas hanya menerima event device miliknya
+  const allowedDevices = req.auth && req.auth.devices && !req.auth.devices.includes('*') ? req.auth.devices : null;
+  if (allowedDevices) {
+    filter.deviceIds = filter.deviceIds.length > 0
+      ? filter.deviceIds.filter((deviceId) => allowedDevices.includes(deviceId))
+      : allowedDevices;
+
+    if (filter.deviceIds.length === 0) {
+      return res.status(403).json({ error: 'No access to requested devices' });
+    }
+  }
+
+  const invalidType = filter.types.find((type) => !EVENT_TYPES.includes(type));
+  if (invalidType) {
+    return res.status(400).json({ error: `types must be any of: ${EVENT_TYPES.join(', ')}` });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  // Browser mengirim Last-Event-ID otomatis saat reconnect
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.last_event_id);
+  if (!isNaN(lastEventId)) {
+    eventStream.since(lastEventId, filter).forEach((event) => writeEvent(res, event));
+  }
+
+  const onEvent = (event) => {
+    if (matchesFilter(event, filter)) {
+      writeEvent(res, event);
+    }
+  };
+  eventStream.on('event', onEvent);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    eventStream.off('event', onEvent);
+  });
+}
+
+module.exports = {
+  eventStream,
+  sseHandler,
+  EventStream,
+  EVENT_TYPES
+};
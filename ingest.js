@@ -0,0 +1,140 @@
+const {
+  getDeviceById,
+  saveSensorReadings,
+  getSensorTimestamps,
+  getLatestSensorData,
+  saveIngestError
+} = require('./database');
+const { validateSensorPayload, SensorValidationError } = require('./sensor-schema');
+const { getMetricsForType, toFieldSpecs } = require('./metric-registry');
+const { refreshRollups } = require('./retention');
+const { sensorReadingsIngested, sensorIngestFailures } = require('./metrics');
+const { logger, generateCorrelationId } = require('./logger');
+
+const log = logger.child({ module: 'ingest' });
+
+// Ingest satu atau banyak reading dari satu device, dipakai MQTT
+// (sensor/<id>/data, payload object atau array) dan POST /api/ingest.
+//
+// Setiap reading divalidasi sendiri, yang tidak valid masuk dead-letter tanpa
+// menggagalkan reading lain. Reading dengan timestamp device yang sudah
+// tersimpan (atau dobel dalam batch) dianggap duplikat dan dilewati, sisanya
+// disimpan dengan satu bulk insert. Automation rules, alerts dan shadow hanya
+// jalan untuk reading terbaru, dan hanya kalau reading itu masih baru.
+//
+// Setiap message (satu MQTT message atau satu POST) punya correlation_id yang
+// ada di semua log, di dead-letter dan di hasil ingest.
+
+const MAX_BATCH_SIZE = parseInt(process.env.INGEST_MAX_BATCH_SIZE) || 500;
+const LIVE_MAX_AGE_MS = (process.env.INGEST_LIVE_MAX_AGE_SECONDS !== undefined
+  ? parseInt(process.env.INGEST_LIVE_MAX_AGE_SECONDS)
+  : 300) * 1000;
+
+async function deadLetter(deviceId, topic, error, payload, correlationId, messageLog) {
+  try {
+    await saveIngestError({
+      device_id: deviceId,
+      topic,
+      reason: error.reason,
+      field: error.field,
+      message: error.message,
+      payload: typeof payload === 'string' ? payload : JSON.stringify(payload),
+      correlation_id: correlationId
+    });
+  } catch (saveError) {
+    messageLog.error('Error saving to dead-letter', { err: saveError });
+  }
+}
+
+// Returns { accepted, duplicates, rejected: [{ index, reason, field, message }], warnings, correlation_id }.
+// handler = MqttHandler untuk post-processing (boleh null di serverless).
+// Throws SensorValidationError kalau batch kosong atau terlalu besar.
+async function ingestReadings(handler, deviceId, payloads, { topic = 'http', now = Date.now(), correlationId = generateCorrelationId() } = {}) {
+  const source = topic === 'http' ? 'http' : 'mqtt';
+  const messageLog = log.child({ correlation_id: correlationId, device_id: deviceId, source });
+  if (payloads.length === 0 || payloads.length > MAX_BATCH_SIZE) {
+    const error = payloads.length === 0
+      ? new SensorValidationError('no_readings', 'Batch contains no readings')
+      : new SensorValidationError('batch_too_large', `Batch has ${payloads.length} readings, max ${MAX_BATCH_SIZE}`);
+    sensorIngestFailures.inc({ source, reason: error.reason });
+    messageLog.warn('Rejected sensor batch', { reason: error.reason, count: payloads.length });
+    throw error;
+  }
+
+  // Metric tambahan yang terdaftar untuk device type ini
+  const device = deviceId ? await getDeviceById(deviceId) : null;
+  const metrics = toFieldSpecs(await getMetricsForType(device && device.device_type));
+
+  const rejected = [];
+  const warnings = [];
+  const valid = [];
+  for (const [index, payload] of payloads.entries()) {
+    try {
+      const result = validateSensorPayload(deviceId, payload, { metrics, now });
+      result.warnings.forEach((warning) => {
+        messageLog.warn('Dropped sensor field', { index, field: warning.field, message: warning.message });
+        warnings.push({ index, ...warning });
+      });
+      valid.push(result);
+    } catch (error) {
+      if (!(error instanceof SensorValidationError)) {
+        throw error;
+      }
+      messageLog.warn('Rejected sensor reading', { index, reason: error.reason, field: error.field, message: error.message });
+      rejected.push({ index, reason: error.reason, field: error.field, message: error.message });
+      sensorIngestFailures.inc({ source, reason: error.reason });
+      await deadLetter(deviceId, topic, error, payload, correlationId, messageLog);
+    }
+  }
+
+  // Dedup hanya untuk timestamp dari device, waktu terima selalu unik
+  const stamped = valid.filter((result) => result.deviceTimestamp);
+  const times = stamped.map((result) => new Date(result.reading.timestamp).getTime());
+  const seen = times.length > 0
+    ? await getSensorTimestamps(deviceId, Math.min(...times), Math.max(...times))
+    : new Set();
+
+  const fresh = valid.filter((result) => {
+    if (!result.deviceTimestamp) return true;
+    const time = new Date(result.reading.timestamp).getTime();
+    if (seen.has(time)) return false;
+    seen.add(time);
+    return true;
+  });
+  const duplicates = valid.length - fresh.length;
+
+  const saved = await saveSensorReadings(fresh.map((result) => result.reading));
+  sensorReadingsIngested.inc({ source }, saved.length);
+
+  // Backfill ke jam yang sudah di-rollup
+  const savedTimes = saved.map((reading) => new Date(reading.timestamp).getTime());
+  if (savedTimes.length > 0 && Math.min(...savedTimes) < Math.floor(now / 3600000) * 3600000) {
+    try {
+      await refreshRollups(Math.min(...savedTimes), Math.max(...savedTimes));
+    } catch (error) {
+      messageLog.error('Error refreshing rollups', { err: error });
+    }
+  }
+
+  if (handler && saved.length > 0) {
+    const newestIndex = savedTimes.indexOf(Math.max(...savedTimes));
+    const newest = saved[newestIndex];
+    const latest = await getLatestSensorData(deviceId);
+    if (latest && latest.id === newest.id && now - savedTimes[newestIndex] <= LIVE_MAX_AGE_MS) {
+      await handler.handleSensorData(newest, { fields: fresh[newestIndex].fields });
+    }
+  }
+
+  messageLog.info('Sensor readings ingested', {
+    topic,
+    accepted: saved.length,
+    duplicates,
+    rejected: rejected.length
+  });
+  return { accepted: saved.length, duplicates, rejected, warnings, correlation_id: correlationId };
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  ingestReadings
+};
@@ -0,0 +1,203 @@
+const { getMetricDefinitions, getDeviceById } = require('./database');
+const { SCHEMAS, CURRENT_SCHEMA_VERSION } = require('./sensor-schema');
+const { AGGREGATES, DEFAULT_AGGREGATES } = require('./aggregation');
+
+// Metric registry: definisi metric sensor per device type, supaya sensor baru
+// (rain, light, wind, soil moisture, ...) cukup didaftarkan lewat API.
+//
+// {
+//   device_type: 'weather-station',   // '*' = semua device
+//   name: 'soil_moisture',
+//   unit: '%',
+//   type: 'number',                    // number | integer | boolean
+//   min: 0, max: 100,                  // opsional, valid range
+//   on_invalid: 'drop',                // 'reject' = message masuk dead-letter
+//   aggregate: 'avg',                  // default agg di history (avg, min, max, last)
+//   description: 'Capacitive soil sensor'
+// }
+//
+// Metric bawaan (kolom sensor_data) tidak bisa diubah. Definisi untuk
+// device_type tertentu mengalahkan definisi '*' dengan nama yang sama.
+// device_type diambil dari devices.device_type.
+
+const METRIC_TYPES = ['number', 'integer', 'boolean'];
+const ON_INVALID = ['reject', 'drop'];
+const ALL_DEVICE_TYPES = '*';
+const NAME_PATTERN = /^[a-z][a-z0-9_]{0,62}$/;
+// Nama yang sudah dipakai kolom sensor_data / payload
+const RESERVED_NAMES = ['id', 'device_id', 'timestamp', 'created_at', 'metrics', 'schema_version'];
+const CACHE_TTL_MS = 30000;
+
+const BUILTIN_UNITS = {
+  temperature: '°C',
+  humidity: '%',
+  pressure: 'hPa',
+  servo_state: '°',
+  water_state: null
+};
+
+const BUILTIN_METRICS = Object.entries(SCHEMAS[CURRENT_SCHEMA_VERSION].fields).map(([name, spec]) => ({
+  device_type: ALL_DEVICE_TYPES,
+  name,
+  unit: BUILTIN_UNITS[name],
+  type: spec.type,
+  min: spec.min === undefined ? null : spec.min,
+  max: spec.max === undefined ? null : spec.max,
+  on_invalid: spec.onInvalid,
+  aggregate: DEFAULT_AGGREGATES[name],
+  builtin: true
+}));
+
+let cache = null;
+
+// Validate metric definition from the API. partial=true untuk PATCH
+function validateMetricDefinition(input, { partial = false } = {}) {
+  const definition = {};
+
+  if (input.device_type !== undefined || !partial) {
+    const deviceType = input.device_type === undefined ? ALL_DEVICE_TYPES : input.device_type;
+    if (typeof deviceType !== 'string' || !deviceType) {
+      return { error: 'device_type must be a non-empty string' };
+    }
+    definition.device_type = deviceType;
+  }
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || !NAME_PATTERN.test(input.name)) {
+      return { error: 'name must be lowercase letters, digits and underscores, starting with a letter' };
+    }
+    if (RESERVED_NAMES.includes(input.name) || BUILTIN_METRICS.some((metric) => metric.name === input.name)) {
+      return { error: `${input.name} is a reserved or built-in metric` };
+    }
+    definition.name = input.name;
+  }
+  if (input.type !== undefined || !partial) {
+    if (!METRIC_TYPES.includes(input.type)) {
+      return { error: `type must be one of: ${METRIC_TYPES.join(', ')}` };
+    }
+    definition.type = input.type;
+  }
+  for (const field of ['unit', 'description']) {
+    if (input[field] !== undefined) {
+      if (input[field] !== null && typeof input[field] !== 'string') {
+        return { error: `${field} must be a string` };
+      }
+      definition[field] = input[field];
+    }
+  }
+  for (const field of ['min', 'max']) {
+    if (input[field] !== undefined) {
+      if (input[field] !== null && (typeof input[field] !== 'number' || !Number.isFinite(input[field]))) {
+        return { error: `${field} must be a number` };
+      }
+      definition[field] = input[field];
+    }
+  }
+  if (typeof definition.min === 'number' && typeof definition.max === 'number' && definition.min > definition.max) {
+    return { error: 'min must be less than or equal to max' };
+  }
+  if (input.on_invalid !== undefined) {
+    if (!ON_INVALID.includes(input.on_invalid)) {
+      return { error: `on_invalid must be one of: ${ON_INVALID.join(', ')}` };
+    }
+    definition.on_invalid = input.on_invalid;
+  }
+  if (input.aggregate !== undefined) {
+    if (!AGGREGATES.includes(input.aggregate)) {
+      return { error: `aggregate must be one of: ${AGGREGATES.join(', ')}` };
+    }
+    definition.aggregate = input.aggregate;
+  }
+
+  if (!partial) {
+    definition.on_invalid = definition.on_invalid || 'drop';
+    definition.aggregate = definition.aggregate || (definition.type === 'boolean' ? 'last' : 'avg');
+  }
+
+  return { definition };
+}
+
+// Definisi dari database, di-cache sebentar karena dipakai setiap sensor message
+async function loadDefinitions() {
+  if (!cache || Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+    cache = { definitions: await getMetricDefinitions(), loadedAt: Date.now() };
+  }
+  return cache.definitions;
+}
+
+// Dipanggil setelah create/update/delete lewat API
+function invalidateMetricCache() {
+  cache = null;
+}
+
+// Metric bawaan + '*' + device type, urut seperti kolom lalu nama
+async function getMetricsForType(deviceType) {
+  const metrics = new Map(BUILTIN_METRICS.map((metric) => [metric.name, metric]));
+
+  const definitions = await loadDefinitions();
+  for (const type of [ALL_DEVICE_TYPES, deviceType]) {
+    if (!type) continue;
+    definitions
+      .filter((definition) => definition.device_type === type)
+      .forEach((definition) => metrics.set(definition.name, definition));
+  }
+
+  return [...metrics.values()];
+}
+
+// Gabungan metric semua device (history device group)
+async function getMetricsForDevices(deviceIds) {
+  const devices = await Promise.all(deviceIds.map((deviceId) => getDeviceById(deviceId)));
+  const types = [...new Set(devices.map((device) => (device && device.device_type) || null))];
+
+  const metrics = new Map();
+  for (const type of types) {
+    for (const metric of await getMetricsForType(type)) {
+      if (!metrics.has(metric.name)) metrics.set(metric.name, metric);
+    }
+  }
+  return [...metrics.values()];
+}
+
+// Nama metric numerik (bawaan dan terdaftar untuk device type mana pun) yang
+// bisa dipakai di condition rule dan alert threshold
+async function getMetricNames() {
+  const definitions = await loadDefinitions();
+  const names = [...BUILTIN_METRICS, ...definitions]
+    .filter((metric) => metric.type === 'number' || metric.type === 'integer')
+    .map((metric) => metric.name);
+  return [...new Set(names)];
+}
+
+// Field spec untuk validateSensorPayload, tanpa metric bawaan
+function toFieldSpecs(metrics) {
+  const specs = {};
+  for (const metric of metrics) {
+    if (metric.builtin) continue;
+    specs[metric.name] = {
+      type: metric.type,
+      min: metric.min === null ? undefined : metric.min,
+      max: metric.max === null ? undefined : metric.max,
+      onInvalid: metric.on_invalid
+    };
+  }
+  return specs;
+}
+
+// { metric: agg } default untuk history
+function getDefaultAggregates(metrics) {
+  const aggregates = {};
+  metrics.forEach((metric) => { aggregates[metric.name] = metric.aggregate || 'avg'; });
+  return aggregates;
+}
+
+module.exports = {
+  METRIC_TYPES,
+  BUILTIN_METRICS,
+  validateMetricDefinition,
+  invalidateMetricCache,
+  getMetricsForType,
+  getMetricsForDevices,
+  getMetricNames,
+  toFieldSpecs,
+  getDefaultAggregates
+};
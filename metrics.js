@@ -0,0 +1,283 @@
+const { getMetricNames } = require('./aggregation');
+
+// Metrics operasional dalam format Prometheus text (GET /metrics), tanpa
+// dependency tambahan: counter, gauge dan histogram sederhana.
+//
+// Nilai disimpan per-process: di Vercel setiap instance punya counter sendiri,
+// jadi scrape /metrics hanya berguna untuk server.js yang jalan terus.
+// Latest sensor value per device diambil dari sensor_latest setiap scrape.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const STORAGE_OPERATIONS = ['insert', 'upsert', 'select', 'update', 'remove'];
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Label dalam urutan labelNames, dipakai juga sebagai key Map
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  labelNames.forEach((name) => {
+    picked[name] = labels[name] === undefined ? '' : String(labels[name]);
+  });
+  return picked;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+    registry.push(this);
+  }
+
+  entry(labels, create) {
+    const picked = pickLabels(this.labelNames, labels);
+    const key = JSON.stringify(picked);
+    if (!this.values.has(key)) {
+      this.values.set(key, create(picked));
+    }
+    return this.values.get(key);
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.entry(labels, (picked) => ({ labels: picked, value: 0 })).value += value;
+  }
+}
+
+// collect() opsional, dipanggil saat render untuk nilai yang dihitung saat scrape
+class Gauge extends Metric {
+  constructor(name, help, labelNames, { collect } = {}) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect || null;
+  }
+
+  set(labels = {}, value) {
+    this.entry(labels, (picked) => ({ labels: picked, value: 0 })).value = value;
+  }
+
+  render() {
+    if (this.collect) {
+      this.collect(this);
+    }
+    return super.render();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, { buckets = DEFAULT_BUCKETS } = {}) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const entry = this.entry(labels, (picked) => ({
+      labels: picked,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index] += 1;
+    });
+    entry.sum += value;
+    entry.count += 1;
+  }
+
+  // Returns end(extraLabels) yang mencatat durasi dalam detik
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    };
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+// ==================== METRICS ====================
+
+const mqttMessagesReceived = new Counter(
+  'iot_mqtt_messages_received_total',
+  'MQTT messages received (subscription or bridge webhook) per topic and device',
+  ['topic', 'device_id']
+);
+const mqttReconnects = new Counter('iot_mqtt_reconnects_total', 'MQTT client reconnect attempts');
+let mqttConnectedSince = null;
+const mqttConnected = new Gauge('iot_mqtt_connected', 'Whether the MQTT client is connected (1) or not (0)', [], {
+  collect: (gauge) => gauge.set({}, mqttConnectedSince === null ? 0 : 1)
+});
+const mqttConnectionUptime = new Gauge('iot_mqtt_connection_uptime_seconds', 'Seconds since the current MQTT connection was established', [], {
+  collect: (gauge) => gauge.set({}, mqttConnectedSince === null ? 0 : (Date.now() - mqttConnectedSince) / 1000)
+});
+
+const sensorReadingsIngested = new Counter(
+  'iot_sensor_readings_ingested_total',
+  'Sensor readings stored, per source (mqtt, http)',
+  ['source']
+);
+const sensorIngestFailures = new Counter(
+  'iot_sensor_ingest_failures_total',
+  'Sensor messages or readings rejected by parsing or validation, per reason',
+  ['source', 'reason']
+);
+
+const dbOperationDuration = new Histogram(
+  'iot_db_operation_duration_seconds',
+  'Storage operation latency per operation and table',
+  ['operation', 'table']
+);
+const dbErrors = new Counter('iot_db_errors_total', 'Failed storage operations per operation and table', ['operation', 'table']);
+
+const commandsPublished = new Counter('iot_commands_published_total', 'Commands published to the broker per type', ['type']);
+const commandsDropped = new Counter(
+  'iot_commands_dropped_total',
+  'Commands that will never be delivered per type and reason (safety/registry rejection, interlock, expired)',
+  ['type', 'reason']
+);
+// Command tetap queued dan dikirim ulang, jadi tidak dihitung dropped
+const commandPublishErrors = new Counter('iot_command_publish_errors_total', 'Failed command publishes per type (command stays queued)', ['type']);
+
+const httpRequestDuration = new Histogram(
+  'iot_http_request_duration_seconds',
+  'HTTP request latency per method, route and status',
+  ['method', 'route', 'status']
+);
+
+const sensorValue = new Gauge('iot_sensor_value', 'Latest sensor value per device and metric (booleans as 0/1)', ['device_id', 'metric']);
+const sensorLastReading = new Gauge('iot_sensor_last_reading_timestamp_seconds', 'Timestamp of the latest reading per device', ['device_id']);
+
+// ==================== HELPERS ====================
+
+// Dipanggil MqttHandler saat connect / close
+function recordMqttConnection(connected) {
+  if (!connected) {
+    mqttConnectedSince = null;
+  } else if (mqttConnectedSince === null) {
+    mqttConnectedSince = Date.now();
+  }
+}
+
+// Bungkus method storage adapter (in place) untuk latency + error per table
+function instrumentStorage(adapter) {
+  if (adapter.instrumented) {
+    return adapter;
+  }
+
+  for (const operation of STORAGE_OPERATIONS) {
+    const method = adapter[operation].bind(adapter);
+    adapter[operation] = async (table, ...args) => {
+      const end = dbOperationDuration.startTimer({ operation, table });
+      try {
+        return await method(table, ...args);
+      } catch (error) {
+        dbErrors.inc({ operation, table });
+        throw error;
+      } finally {
+        end();
+      }
+    };
+  }
+  adapter.instrumented = true;
+  return adapter;
+}
+
+// Express middleware, route = path pattern (bukan URL) supaya label tidak meledak
+function httpMetrics() {
+  return (req, res, next) => {
+    const end = httpRequestDuration.startTimer({ method: req.method });
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      end({ route, status: res.statusCode });
+    });
+    next();
+  };
+}
+
+// Isi ulang gauge sensor dari latest reading semua device
+function setSensorGauges(readings) {
+  sensorValue.reset();
+  sensorLastReading.reset();
+
+  for (const reading of readings) {
+    for (const metric of getMetricNames(reading)) {
+      const value = reading[metric];
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        sensorValue.set({ device_id: reading.device_id, metric }, value);
+      } else if (typeof value === 'boolean') {
+        sensorValue.set({ device_id: reading.device_id, metric }, value ? 1 : 0);
+      }
+    }
+    if (reading.timestamp) {
+      sensorLastReading.set({ device_id: reading.device_id }, new Date(reading.timestamp).getTime() / 1000);
+    }
+  }
+}
+
+function renderMetrics() {
+  return `${registry.flatMap((metric) => metric.render()).join('\n')}\n`;
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  mqttMessagesReceived,
+  mqttReconnects,
+  sensorReadingsIngested,
+  sensorIngestFailures,
+  commandsPublished,
+  commandsDropped,
+  commandPublishErrors,
+  recordMqttConnection,
+  instrumentStorage,
+  httpMetrics,
+  setSensorGauges,
+  renderMetrics
+};
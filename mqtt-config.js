@@ -0,0 +1,248 @@
+const fs = require('fs');
+
+// Konfigurasi koneksi MQTT dari env, divalidasi saat startup.
+//
+//   MQTT_BROKER          mqtt://, mqtts://, ws:// atau wss:// URL (default broker publik HiveMQ)
+//   MQTT_PORT            override port dari URL
+//   MQTT_USERNAME, MQTT_PASSWORD
+//   MQTT_CA_FILE / MQTT_CA, MQTT_CERT_FILE / MQTT_CERT, MQTT_KEY_FILE / MQTT_KEY
+//                        path file PEM, atau isi PEM langsung (untuk Vercel, "\n" boleh di-escape)
+//   MQTT_TLS_REJECT_UNAUTHORIZED=false  hanya untuk testing dengan self-signed cert
+//   MQTT_CLIENT_ID       client id tetap, wajib kalau MQTT_CLEAN_SESSION=false
+//   MQTT_CLEAN_SESSION   default true
+//   MQTT_KEEPALIVE, MQTT_RECONNECT_PERIOD_MS, MQTT_CONNECT_TIMEOUT_MS
+//   MQTT_TOPIC_PREFIX    namespace, contoh "farm-1" -> farm-1/sensor/+/data
+//   MQTT_TOPIC_OPTIONS   JSON per jenis topic, contoh '{"sensor":{"qos":1},"alert":{"retain":true}}'
+//   MQTT_BACKEND_STATUS_TOPIC  default backend/status, retained "online"/"offline" (last-will)
+//   MQTT_MODE            persistent (koneksi terus, subscribe sensor/ack/status) atau
+//                        serverless (connect per command, data masuk lewat /api/mqtt/webhook).
+//                        Hanya untuk api/index.js (default serverless), server.js selalu persistent
+//   MQTT_SERVERLESS_DEADLINE_MS  batas connect + publish + tunggu ack per command, default 8000
+
+const PROTOCOLS = ['mqtt:', 'mqtts:', 'tcp:', 'ssl:', 'ws:', 'wss:'];
+const SECURE_PROTOCOLS = ['mqtts:', 'ssl:', 'wss:'];
+const PUBLIC_BROKER = 'mqtt://broker.hivemq.com';
+const MODES = ['persistent', 'serverless'];
+
+// sensor/ack/status = subscribe, command/alert/backend = publish
+const DEFAULT_TOPIC_OPTIONS = {
+  sensor: { qos: 0, retain: false },
+  ack: { qos: 1, retain: false },
+  status: { qos: 1, retain: false },
+  command: { qos: 1, retain: false },
+  alert: { qos: 1, retain: false },
+  backend: { qos: 1, retain: true }
+};
+
+function parseBoolean(value, name, errors, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  if (['true', '1', 'yes'].includes(String(value).toLowerCase())) {
+    return true;
+  }
+  if (['false', '0', 'no'].includes(String(value).toLowerCase())) {
+    return false;
+  }
+  errors.push(`${name} must be true or false`);
+  return fallback;
+}
+
+function parseInteger(value, name, errors, fallback, { min = 0, max = Infinity } = {}) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    errors.push(`${name} must be an integer between ${min} and ${max}`);
+    return fallback;
+  }
+  return number;
+}
+
+// PEM dari MQTT_<NAME>_FILE atau MQTT_<NAME>
+function readPem(env, name, errors) {
+  const file = env[`MQTT_${name}_FILE`];
+  const inline = env[`MQTT_${name}`];
+
+  if (file && inline) {
+    errors.push(`Set either MQTT_${name}_FILE or MQTT_${name}, not both`);
+    return null;
+  }
+  if (file) {
+    try {
+      return fs.readFileSync(file);
+    } catch (error) {
+      errors.push(`MQTT_${name}_FILE cannot be read: ${error.message}`);
+      return null;
+    }
+  }
+  if (inline) {
+    return Buffer.from(inline.replace(/\\n/g, '\n'));
+  }
+  return null;
+}
+
+function parseTopicOptions(raw, errors) {
+  const topicOptions = {};
+  for (const [kind, defaults] of Object.entries(DEFAULT_TOPIC_OPTIONS)) {
+    topicOptions[kind] = { ...defaults };
+  }
+  if (!raw) {
+    return topicOptions;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    errors.push(`MQTT_TOPIC_OPTIONS must be JSON: ${error.message}`);
+    return topicOptions;
+  }
+  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+    errors.push('MQTT_TOPIC_OPTIONS must be a JSON object');
+    return topicOptions;
+  }
+
+  for (const [kind, options] of Object.entries(parsed)) {
+    if (!topicOptions[kind]) {
+      errors.push(`MQTT_TOPIC_OPTIONS.${kind} is unknown, use: ${Object.keys(DEFAULT_TOPIC_OPTIONS).join(', ')}`);
+      continue;
+    }
+    if (options.qos !== undefined) {
+      if (![0, 1, 2].includes(options.qos)) {
+        errors.push(`MQTT_TOPIC_OPTIONS.${kind}.qos must be 0, 1 or 2`);
+      } else {
+        topicOptions[kind].qos = options.qos;
+      }
+    }
+    if (options.retain !== undefined) {
+      if (typeof options.retain !== 'boolean') {
+        errors.push(`MQTT_TOPIC_OPTIONS.${kind}.retain must be a boolean`);
+      } else {
+        topicOptions[kind].retain = options.retain;
+      }
+    }
+  }
+
+  // Command queue menandai published dari PUBACK broker
+  if (topicOptions.command.qos === 0) {
+    errors.push('MQTT_TOPIC_OPTIONS.command.qos must be 1 or 2');
+  }
+  return topicOptions;
+}
+
+function parseTopicPrefix(raw, errors) {
+  const prefix = (raw || '').replace(/^\/+|\/+$/g, '');
+  if (/[+#]/.test(prefix)) {
+    errors.push('MQTT_TOPIC_PREFIX must not contain wildcards (+ or #)');
+    return '';
+  }
+  return prefix;
+}
+
+// Build + validate config, throws dengan semua error sekaligus.
+// defaultMode dipakai kalau MQTT_MODE kosong
+function loadMqttConfig(env = process.env, { defaultMode = 'persistent' } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  const mode = env.MQTT_MODE || defaultMode;
+  if (!MODES.includes(mode)) {
+    errors.push(`MQTT_MODE must be one of: ${MODES.join(', ')}`);
+  }
+  const serverlessDeadlineMs = parseInteger(env.MQTT_SERVERLESS_DEADLINE_MS, 'MQTT_SERVERLESS_DEADLINE_MS', errors, 8000, { min: 1 });
+
+  const url = env.MQTT_BROKER || PUBLIC_BROKER;
+  let protocol = null;
+  try {
+    protocol = new URL(url).protocol;
+  } catch (error) {
+    errors.push(`MQTT_BROKER is not a valid URL: ${url}`);
+  }
+  if (protocol && !PROTOCOLS.includes(protocol)) {
+    errors.push(`MQTT_BROKER protocol must be one of: ${PROTOCOLS.map((value) => value.slice(0, -1)).join(', ')}`);
+  }
+  const isSecure = SECURE_PROTOCOLS.includes(protocol);
+
+  const options = {
+    clientId: env.MQTT_CLIENT_ID || undefined,
+    clean: parseBoolean(env.MQTT_CLEAN_SESSION, 'MQTT_CLEAN_SESSION', errors, true),
+    keepalive: parseInteger(env.MQTT_KEEPALIVE, 'MQTT_KEEPALIVE', errors, 60, { max: 65535 }),
+    reconnectPeriod: parseInteger(env.MQTT_RECONNECT_PERIOD_MS, 'MQTT_RECONNECT_PERIOD_MS', errors, 5000),
+    connectTimeout: parseInteger(env.MQTT_CONNECT_TIMEOUT_MS, 'MQTT_CONNECT_TIMEOUT_MS', errors, 10000, { min: 1 })
+  };
+
+  if (env.MQTT_PORT) {
+    options.port = parseInteger(env.MQTT_PORT, 'MQTT_PORT', errors, undefined, { min: 1, max: 65535 });
+  }
+  if (!options.clean && !options.clientId) {
+    errors.push('MQTT_CLIENT_ID is required when MQTT_CLEAN_SESSION=false');
+  }
+  // Instance serverless bisa jalan bersamaan, broker memutus client id yang dobel
+  if (mode === 'serverless' && options.clientId) {
+    warnings.push('MQTT_CLIENT_ID is shared by every serverless instance, concurrent sessions will kick each other off the broker');
+  }
+
+  if (env.MQTT_PASSWORD && !env.MQTT_USERNAME) {
+    errors.push('MQTT_PASSWORD requires MQTT_USERNAME');
+  }
+  if (env.MQTT_USERNAME) {
+    options.username = env.MQTT_USERNAME;
+    options.password = env.MQTT_PASSWORD;
+    if (!isSecure) {
+      warnings.push('MQTT credentials are sent without TLS, use mqtts:// or wss://');
+    }
+  }
+
+  const ca = readPem(env, 'CA', errors);
+  const cert = readPem(env, 'CERT', errors);
+  const key = readPem(env, 'KEY', errors);
+  if (Boolean(cert) !== Boolean(key)) {
+    errors.push('MQTT client certificate needs both MQTT_CERT(_FILE) and MQTT_KEY(_FILE)');
+  }
+  if ((ca || cert || key) && !isSecure) {
+    errors.push('MQTT TLS options need an mqtts:// or wss:// MQTT_BROKER');
+  }
+  if (ca) options.ca = ca;
+  if (cert) options.cert = cert;
+  if (key) options.key = key;
+
+  const rejectUnauthorized = parseBoolean(env.MQTT_TLS_REJECT_UNAUTHORIZED, 'MQTT_TLS_REJECT_UNAUTHORIZED', errors, true);
+  if (isSecure) {
+    options.rejectUnauthorized = rejectUnauthorized;
+    if (!rejectUnauthorized) {
+      warnings.push('MQTT_TLS_REJECT_UNAUTHORIZED=false, broker certificate is NOT verified');
+    }
+  }
+
+  if (url === PUBLIC_BROKER) {
+    warnings.push('MQTT_BROKER not set - using the public, unauthenticated broker.hivemq.com');
+  }
+
+  const topicPrefix = parseTopicPrefix(env.MQTT_TOPIC_PREFIX, errors);
+  const topicOptions = parseTopicOptions(env.MQTT_TOPIC_OPTIONS, errors);
+  const backendStatusTopic = parseTopicPrefix(env.MQTT_BACKEND_STATUS_TOPIC || 'backend/status', errors);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid MQTT configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return {
+    mode,
+    serverlessDeadlineMs,
+    url,
+    isSecure,
+    options,
+    topicPrefix,
+    topicOptions,
+    backendStatusTopic,
+    warnings
+  };
+}
+
+module.exports = {
+  MODES,
+  loadMqttConfig,
+  DEFAULT_TOPIC_OPTIONS
+};
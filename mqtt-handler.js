@@ -1,135 +1,712 @@
 const mqtt = require('mqtt');
-const { saveSensorData, saveServoCommand } = require('./database');
+const {
+  saveServoCommand,
+  saveWaterCommand,
+  updateCommandStatus,
+  getCommandById,
+  getQueuedCommands,
+  isCommandExpired,
+  setDeviceStatus,
+  saveIngestError,
+  getDeviceById,
+  COMMAND_TIMEOUT_MS
+} = require('./database');
+const { SensorValidationError } = require('./sensor-schema');
+const { ingestReadings } = require('./ingest');
+const { evaluateRules } = require('./automation-engine');
+const { assertCommandAllowed } = require('./device-registry');
+const { assertCommandSafe, assertInterlocks, withCommandSlot } = require('./safety');
+const { CommandRejectedError } = require('./errors');
+const { AlertManager } = require('./alert-manager');
+const { DeviceShadow } = require('./device-shadow');
+const { createNotificationChannels } = require('./notification-channels');
+const { eventStream } = require('./event-stream');
+const { loadMqttConfig } = require('./mqtt-config');
+const {
+  mqttMessagesReceived,
+  mqttReconnects,
+  sensorIngestFailures,
+  commandsPublished,
+  commandsDropped,
+  commandPublishErrors,
+  recordMqttConnection
+} = require('./metrics');
+const { logger, generateCorrelationId } = require('./logger');
+
+const log = logger.child({ module: 'mqtt' });
+
+const ACK_STATUSES = ['acknowledged', 'completed', 'failed'];
+// Berapa lama sendCommand menunggu PUBACK sebelum melaporkan command masih queued
+const PUBLISH_TIMEOUT_MS = parseInt(process.env.COMMAND_PUBLISH_TIMEOUT_MS) || 5000;
+
+// Topic + payload MQTT untuk command dari commands log.
+// request_id = HTTP request yang membuat command (null untuk automation/schedule)
+function buildCommandMessage(command) {
+  const message = {
+    command_id: command.command_id,
+    device_id: command.device_id,
+    command_by: command.command_by,
+    request_id: command.request_id || null,
+    expires_at: command.expires_at,
+    timestamp: new Date().toISOString()
+  };
+
+  if (command.type === 'servo') {
+    message.angle = parseInt(command.payload.target_angle);
+  } else {
+    message.state = Boolean(command.payload.state);
+  }
+
+  return { path: `control/${command.device_id}/${command.type}`, message };
+}
+
+// Field log untuk satu command, request_id menghubungkan ke HTTP request
+function commandFields(command) {
+  return {
+    command_id: command.command_id,
+    type: command.type,
+    device_id: command.device_id,
+    source: command.source,
+    request_id: command.request_id || undefined
+  };
+}
 
 class MqttHandler {
-  constructor() {
+  // Throws kalau konfigurasi MQTT tidak valid (lihat mqtt-config.js)
+  constructor(config = loadMqttConfig()) {
+    this.config = config;
     this.mqttClient = null;
-    this.host = process.env.MQTT_BROKER || 'mqtt://broker.hivemq.com';
-    this.port = process.env.MQTT_PORT || 1883;
+    this.host = config.url;
+    this.port = config.options.port;
     this.isConnected = false;
+    config.warnings.forEach((warning) => log.warn(warning));
+
+    this.mode = config.mode;
+    this.commandTimers = new Map();
+    // Command yang sudah di-publish tapi belum dapat PUBACK
+    this.inflight = new Set();
+    this.flushing = null;
+    this.flushPending = false;
+
+    // Serverless: jumlah request yang sedang memakai koneksi, dan ack yang ditunggu
+    this.sessions = 0;
+    this.connecting = null;
+    this.closing = null;
+    this.lastSession = null;
+    this.ackWaiters = new Map();
+
+    // Alert threshold + device offline, notifikasi lewat webhook/email/MQTT
+    this.alertManager = new AlertManager(createNotificationChannels(this));
+    this.alertManager.listen(eventStream);
+
+    // Desired vs reported actuator state, re-publish saat reconnect/drift
+    this.shadow = new DeviceShadow(this);
+    this.shadow.listen(eventStream);
   }
 
   connect() {
     if (this.isConnected) {
-      console.log('ℹ️ MQTT already connected');
+      log.debug('MQTT already connected', { broker: this.host });
       return;
     }
 
-    console.log(`🔗 Connecting to MQTT: ${this.host}:${this.port}`);
+    log.info('Connecting to MQTT', { broker: this.host, mode: this.mode });
     
-    this.mqttClient = mqtt.connect(this.host, { 
-      port: this.port,
-      reconnectPeriod: 5000,
-      connectTimeout: 10000
-    });
+    const { options, topicOptions, backendStatusTopic } = this.config;
+    const serverless = this.mode === 'serverless';
+    this.mqttClient = mqtt.connect(this.host, serverless
+      // Koneksi per request, tidak reconnect dan tanpa backend status/last-will
+      ? { ...options, reconnectPeriod: 0 }
+      : {
+        ...options,
+        // Broker publish "offline" kalau backend hilang tanpa disconnect
+        will: {
+          topic: this.topic(backendStatusTopic),
+          payload: 'offline',
+          qos: topicOptions.backend.qos,
+          retain: topicOptions.backend.retain
+        }
+      });
 
     this.mqttClient.on('error', (err) => {
-      console.log('❌ MQTT error:', err.message);
+      log.error('MQTT error', { broker: this.host, err });
       this.isConnected = false;
     });
 
     this.mqttClient.on('connect', () => {
       this.isConnected = true;
-      console.log('✅ MQTT connected to broker:', this.host);
-      
-      // ⚠️ HANYA SUBSCRIBE UNTUK MENERIMA DATA SENSOR DARI RASPI
-      this.mqttClient.subscribe('sensor/+/data', (err) => {
-        if (!err) console.log('📡 Subscribed to sensor/+/data');
-      });
-      
-      // TIDAK PERLU subscribe ke servo/status dan water/status
-      // Karena Raspi yang akan subscribe untuk menerima commands
+      recordMqttConnection(true);
+      log.info('MQTT connected to broker', { broker: this.host, mode: this.mode });
+
+      // Serverless: sensor data dan status masuk lewat MQTT bridge webhook,
+      // ack tetap di-subscribe supaya bisa ditunggu selama session
+      if (!serverless) {
+        this.publish('backend', backendStatusTopic, 'online');
+        
+        // ⚠️ HANYA SUBSCRIBE UNTUK MENERIMA DATA SENSOR DARI RASPI
+        this.subscribe('sensor', 'sensor/+/data');
+
+        // Status online/offline dari Raspi, termasuk last-will saat koneksi putus
+        this.subscribe('status', 'sensor/+/status');
+      }
+
+      // Ack dari Raspi untuk setiap command (command_id ada di payload)
+      this.subscribe('ack', 'control/+/ack');
+
+      // Kirim command yang antri selama broker tidak terjangkau
+      this.flushQueue();
+    });
+
+    this.mqttClient.on('reconnect', () => {
+      mqttReconnects.inc();
+    });
+
+    this.mqttClient.on('close', () => {
+      recordMqttConnection(false);
     });
 
     this.mqttClient.on('disconnect', () => {
       this.isConnected = false;
-      console.log('🔄 MQTT disconnected');
+      log.warn('MQTT disconnected', { broker: this.host });
     });
 
     this.mqttClient.on('offline', () => {
       this.isConnected = false;
-      console.log('🔴 MQTT offline');
+      log.warn('MQTT offline', { broker: this.host });
     });
 
     // Handle incoming messages HANYA dari Raspi
-    this.mqttClient.on('message', async (topic, message) => {
-      console.log('📨 MQTT received:', topic);
-      
+    this.mqttClient.on('message', async (fullTopic, message) => {
+      await this.handleMessage(fullTopic, message.toString());
+    });
+  }
+
+  // Dispatch message dari subscription atau dari MQTT bridge webhook
+  // (serverless). Returns false kalau topic tidak dikenal atau di luar namespace.
+  // Setiap message dapat correlation_id baru, requestId = request webhook
+  async handleMessage(fullTopic, payload, { requestId } = {}) {
+    const topic = this.stripTopicPrefix(fullTopic);
+    if (topic === null) {
+      return false;
+    }
+
+    // Label topic tanpa device id, contoh sensor/+/data
+    const [root, deviceId, ...rest] = topic.split('/');
+    const correlationId = generateCorrelationId();
+    const messageLog = log.child({ correlation_id: correlationId, request_id: requestId, topic, device_id: deviceId });
+    const count = () => {
+      mqttMessagesReceived.inc({ topic: [root, '+', ...rest].join('/'), device_id: deviceId });
+      messageLog.debug('MQTT message received', { bytes: Buffer.byteLength(payload) });
+    };
+    
+    try {
+      // Status bisa berupa plain text ("online"/"offline"), bukan JSON
+      if (topic.startsWith('sensor/') && topic.endsWith('/status')) {
+        count();
+        await this.handleDeviceStatus(topic.split('/')[1], payload);
+        return true;
+      }
+
+      // ⚠️ HANYA handle sensor data dari Raspi
+      if (topic.startsWith('sensor/') && topic.endsWith('/data')) {
+        count();
+        await this.handleSensorMessage(topic, payload, { correlationId, messageLog });
+        return true;
+      }
+
+      if (topic.startsWith('control/') && topic.endsWith('/ack')) {
+        count();
+        await this.handleCommandAck(topic.split('/')[1], JSON.parse(payload));
+        return true;
+      }
+    } catch (error) {
+      messageLog.error('Error processing MQTT message', { err: error });
+      return true;
+    }
+    return false;
+  }
+
+  // Topic lengkap dengan MQTT_TOPIC_PREFIX
+  topic(path) {
+    return this.config.topicPrefix ? `${this.config.topicPrefix}/${path}` : path;
+  }
+
+  // Kebalikan topic(), null kalau topic di luar namespace
+  stripTopicPrefix(topic) {
+    const { topicPrefix } = this.config;
+    if (!topicPrefix) {
+      return topic;
+    }
+    return topic.startsWith(`${topicPrefix}/`) ? topic.slice(topicPrefix.length + 1) : null;
+  }
+
+  subscribe(kind, path) {
+    const { qos } = this.config.topicOptions[kind];
+    this.mqttClient.subscribe(this.topic(path), { qos }, (err) => {
+      if (err) {
+        log.error('MQTT subscribe failed', { topic: this.topic(path), err });
+      } else {
+        log.info('Subscribed', { topic: this.topic(path), qos });
+      }
+    });
+  }
+
+  // Publish dengan QoS/retain sesuai jenis topic (command, alert, backend)
+  publish(kind, path, payload, callback) {
+    const { qos, retain } = this.config.topicOptions[kind];
+    this.mqttClient.publish(this.topic(path), payload, { qos, retain }, callback);
+  }
+
+  // Validate raw payload dari sensor/<id>/data (object atau array reading),
+  // yang tidak valid masuk dead-letter (lihat ingest.js)
+  async handleSensorMessage(topic, payload, { correlationId = generateCorrelationId(), messageLog = log.child({ correlation_id: correlationId }) } = {}) {
+    const topicDeviceId = topic.split('/')[1];
+
+    try {
+      let data;
       try {
-        const data = JSON.parse(message.toString());
-        
-        // ⚠️ HANYA handle sensor data dari Raspi
-        if (topic.startsWith('sensor/') && topic.endsWith('/data')) {
-          await this.handleSensorData(data);
-        }
-        // HAPUS handler untuk servo/status dan water/status
+        data = JSON.parse(payload);
       } catch (error) {
-        console.error('❌ Error processing MQTT message:', error);
+        sensorIngestFailures.inc({ source: 'mqtt', reason: 'invalid_json' });
+        throw new SensorValidationError('invalid_json', `Invalid JSON: ${error.message}`);
       }
-    });
+
+      await ingestReadings(this, topicDeviceId, Array.isArray(data) ? data : [data], { topic, correlationId });
+    } catch (error) {
+      if (!(error instanceof SensorValidationError)) {
+        messageLog.error('Error handling sensor message', { err: error });
+        return;
+      }
+
+      messageLog.warn('Rejected sensor message', { device_id: topicDeviceId, reason: error.reason, message: error.message });
+      try {
+        await saveIngestError({
+          device_id: topicDeviceId,
+          topic,
+          reason: error.reason,
+          field: error.field,
+          message: error.message,
+          payload,
+          correlation_id: correlationId
+        });
+      } catch (saveError) {
+        messageLog.error('Error saving to dead-letter', { err: saveError });
+      }
+    }
   }
 
-  async handleSensorData(data) {
+  // Jalankan automation rules, alerts dan shadow untuk reading terbaru yang
+  // sudah disimpan. fields = field yang dikirim device (lihat validateSensorPayload)
+  async handleSensorData(sensorData, { fields } = {}) {
     try {
-      const sensorData = {
-        device_id: data.device_id,
-        temperature: data.temperature,
-        humidity: data.humidity,
-        pressure: data.pressure,
-        servo_state: data.servo_state || 0,
-        water_state: data.water_state || false
-      };
-      
-      await saveSensorData(sensorData);
-      console.log('💾 Sensor data processed:', sensorData.device_id);
+      await evaluateRules(sensorData, this);
     } catch (error) {
-      console.error('❌ Error saving sensor data:', error);
+      log.error('Error evaluating automation rules', { device_id: sensorData.device_id, err: error });
+    }
+
+    try {
+      await this.alertManager.evaluateReading(sensorData);
+    } catch (error) {
+      log.error('Error evaluating alerts', { device_id: sensorData.device_id, err: error });
+    }
+
+    try {
+      await this.shadow.handleReport(sensorData, fields);
+    } catch (error) {
+      log.error('Error updating device shadow', { device_id: sensorData.device_id, err: error });
     }
   }
 
-  // ⚠️ TAMBAHKAN METHOD UNTUK PUBLISH COMMAND KE RASPI
-  publishServoCommand(deviceId, angle, commandBy = 'web_user') {
-    if (!this.isConnected) {
-      console.error('❌ MQTT not connected, cannot publish');
-      return;
+  async handleDeviceStatus(deviceId, payload) {
+    try {
+      let status = payload.trim();
+      try {
+        const data = JSON.parse(status);
+        status = typeof data === 'object' && data !== null ? data.status : String(data);
+      } catch (error) {
+        // Plain text payload
+      }
+
+      if (status !== 'online' && status !== 'offline') {
+        log.warn('Invalid device status', { device_id: deviceId, payload });
+        return;
+      }
+
+      await setDeviceStatus(deviceId, status === 'online', { reason: 'status_topic' });
+    } catch (error) {
+      log.error('Error handling device status', { device_id: deviceId, err: error });
+    }
+  }
+
+  async handleCommandAck(deviceId, data) {
+    try {
+      const { command_id, status } = data;
+
+      if (!command_id || !ACK_STATUSES.includes(status)) {
+        log.warn('Invalid command ack', { device_id: deviceId, payload: data });
+        return;
+      }
+
+      const command = await getCommandById(command_id);
+      if (!command) {
+        log.warn('Ack for unknown command', { device_id: deviceId, command_id });
+        return;
+      }
+
+      if (command.device_id !== deviceId) {
+        log.warn('Ack from unexpected device', { device_id: deviceId, expected_device_id: command.device_id, command_id });
+        return;
+      }
+
+      if (status !== 'acknowledged') {
+        this.clearCommandTimer(command_id);
+      }
+
+      await updateCommandStatus(command_id, status, {
+        final_angle: data.final_angle,
+        error: data.error
+      });
+
+      log.info('Command ack received', { command_id, device_id: deviceId, status, request_id: command.request_id || undefined });
+
+      const waiter = this.ackWaiters.get(command_id);
+      if (waiter) waiter();
+    } catch (error) {
+      log.error('Error handling command ack', { device_id: deviceId, err: error });
+    }
+  }
+
+  // Tandai command timeout kalau tidak ada ack final dalam COMMAND_TIMEOUT_MS
+  trackCommand(commandId) {
+    if (!commandId) return;
+
+    this.clearCommandTimer(commandId);
+
+    const timer = setTimeout(async () => {
+      this.commandTimers.delete(commandId);
+      try {
+        await updateCommandStatus(commandId, 'timeout');
+      } catch (error) {
+        log.error('Error marking command timeout', { command_id: commandId, err: error });
+      }
+    }, COMMAND_TIMEOUT_MS);
+
+    // Jangan tahan process hanya karena timer command
+    if (timer.unref) timer.unref();
+    this.commandTimers.set(commandId, timer);
+  }
+
+  clearCommandTimer(commandId) {
+    const timer = this.commandTimers.get(commandId);
+    if (timer) {
+      clearTimeout(timer);
+      this.commandTimers.delete(commandId);
     }
-    
-    const topic = `control/${deviceId}/servo`;
-    const command = {
-      device_id: deviceId,
-      angle: parseInt(angle),
-      command_by: commandBy,
-      timestamp: new Date().toISOString()
-    };
-    
-    this.mqttClient.publish(topic, JSON.stringify(command));
-    console.log(`🎯 Servo command published to Raspi: ${deviceId} -> ${angle}°`);
   }
 
-  publishWaterCommand(deviceId, state, commandBy = 'web_user') {
+  // Cek registry device, simpan command ke log (status queued) lalu publish
+  // ke Raspi. Dipakai control API, automation rules dan scheduler.
+  // Kalau broker tidak terjangkau command tetap queued dan dikirim saat
+  // reconnect, atau expired setelah ttlSeconds.
+  // Throws CommandRejectedError kalau device tidak punya capability-nya atau
+  // command ditolak safety layer (rate limit, batas sudut, interlock).
+  // requestId (X-Request-Id) disimpan di command dan ikut di payload MQTT.
+  async sendCommand(type, deviceId, value, { commandBy = 'web_user', source = 'api', ttlSeconds, batchId, requestId } = {}) {
+    // Cek safety + simpan dalam satu slot per device/type supaya rate limit
+    // tidak dilewati request yang bersamaan
+    const command = await withCommandSlot(deviceId, type, async () => {
+      try {
+        await this.checkCommand(type, deviceId, value);
+      } catch (error) {
+        if (error instanceof CommandRejectedError) {
+          commandsDropped.inc({ type, reason: error.reason });
+          log.warn('Command rejected', { type, device_id: deviceId, source, reason: error.reason, message: error.message, request_id: requestId });
+        }
+        throw error;
+      }
+
+      const data = {
+        device_id: deviceId,
+        command_by: commandBy,
+        source,
+        ttl_seconds: ttlSeconds,
+        batch_id: batchId,
+        request_id: requestId
+      };
+
+      if (type === 'servo') {
+        return saveServoCommand({ ...data, target_angle: value });
+      }
+      if (type === 'water') {
+        return saveWaterCommand({ ...data, state: value });
+      }
+      throw new Error(`Unknown command type: ${type}`);
+    });
+
+    if (this.mode === 'serverless') {
+      return this.deliverCommand(command);
+    }
+
     if (!this.isConnected) {
-      console.error('❌ MQTT not connected, cannot publish');
+      log.warn('MQTT not connected, command queued', { command_id: command.command_id, type, device_id: deviceId, request_id: requestId });
+      return command;
+    }
+
+    // Lewat antrian supaya urutan tetap sama dengan command yang masih queued
+    await this.flushQueue();
+    return (await getCommandById(command.command_id)) || command;
+  }
+
+  // Registry + safety check tanpa menyimpan command, throws CommandRejectedError.
+  // Dipakai juga untuk cek semua member group sebelum fan-out.
+  async checkCommand(type, deviceId, value) {
+    const device = await getDeviceById(deviceId);
+    assertCommandAllowed(device, type, value);
+    await assertCommandSafe(device, type, value);
+  }
+
+  // Publish command antrian (QoS >= 1, lihat MQTT_TOPIC_OPTIONS). Resolve dengan command yang sudah
+  // published, atau null kalau PUBACK tidak datang dalam PUBLISH_TIMEOUT_MS
+  // (command tetap queued, mqtt.js mengirim ulang message in-flight saat reconnect)
+  publishCommand(command) {
+    const { path, message } = buildCommandMessage(command);
+    this.inflight.add(command.command_id);
+    let timedOut = false;
+
+    const published = new Promise((resolve) => {
+      this.publish('command', path, JSON.stringify(message), async (error) => {
+        this.inflight.delete(command.command_id);
+
+        if (error) {
+          commandPublishErrors.inc({ type: command.type });
+          log.error('Failed to publish command', { ...commandFields(command), err: error });
+          resolve(null);
+          return;
+        }
+
+        try {
+          const updated = await updateCommandStatus(command.command_id, 'published');
+          commandsPublished.inc({ type: command.type });
+          this.trackCommand(command.command_id);
+          await this.shadow.setDesired(updated);
+          log.info('Command published', { ...commandFields(command), topic: this.topic(path), angle: message.angle, state: message.state });
+          resolve(updated);
+
+          // PUBACK telat: antrian di belakangnya belum terkirim
+          if (timedOut) {
+            this.flushQueue();
+          }
+        } catch (updateError) {
+          log.error('Error marking command published', { ...commandFields(command), err: updateError });
+          resolve(null);
+        }
+      });
+    });
+
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        timedOut = true;
+        resolve(null);
+      }, PUBLISH_TIMEOUT_MS);
+    });
+
+    return Promise.race([published, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // false (dan command jadi rejected) kalau device atau interlock menolak
+  async checkInterlocks(command) {
+    const value = command.type === 'servo' ? command.payload.target_angle : command.payload.state;
+
+    try {
+      const device = await getDeviceById(command.device_id);
+      assertCommandAllowed(device, command.type, value);
+      await assertInterlocks(device, command.type, value);
+      return true;
+    } catch (error) {
+      if (!(error instanceof CommandRejectedError)) {
+        throw error;
+      }
+      await updateCommandStatus(command.command_id, 'rejected', { error: error.message });
+      commandsDropped.inc({ type: command.type, reason: error.reason });
+      log.warn('Queued command rejected', { ...commandFields(command), reason: error.reason, message: error.message });
+      return false;
+    }
+  }
+
+  // Kirim semua command queued secara berurutan. Pemanggil yang datang saat
+  // flush berjalan menunggu flush yang sama, yang lalu membaca antrian lagi.
+  flushQueue() {
+    this.flushPending = true;
+    if (!this.flushing) {
+      this.flushing = this.drainQueue().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async drainQueue() {
+    try {
+      while (this.flushPending && this.isConnected) {
+        this.flushPending = false;
+
+        const commands = await getQueuedCommands();
+        if (commands.length === 100) {
+          this.flushPending = true;
+        }
+
+        for (const command of commands) {
+          // Masih menunggu PUBACK, lanjut setelah PUBACK datang
+          if (this.inflight.has(command.command_id)) {
+            return;
+          }
+
+          if (isCommandExpired(command)) {
+            await updateCommandStatus(command.command_id, 'expired');
+            commandsDropped.inc({ type: command.type, reason: 'expired' });
+            log.warn('Queued command expired', commandFields(command));
+            continue;
+          }
+
+          // Kondisi bisa berubah selama command antri
+          if (!(await this.checkInterlocks(command))) {
+            continue;
+          }
+
+          // Berhenti di command pertama yang gagal supaya urutan tidak loncat
+          if (!this.isConnected || !(await this.publishCommand(command))) {
+            return;
+          }
+        }
+      }
+    } catch (error) {
+      log.error('Error flushing command queue', { err: error });
+    }
+  }
+
+  // Serverless: buka koneksi untuk satu request. Request lain di instance yang
+  // sama memakai koneksi yang sama. Returns false kalau broker tidak
+  // terjangkau sebelum deadline (ms timestamp).
+  async openSession(deadline) {
+    this.sessions += 1;
+    if (this.closing) {
+      await this.closing;
+    }
+    if (this.isConnected) {
+      return true;
+    }
+
+    if (!this.connecting) {
+      this.connect();
+      const client = this.mqttClient;
+
+      this.connecting = new Promise((resolve) => {
+        let timer;
+        const done = (connected) => {
+          clearTimeout(timer);
+          client.removeListener('connect', onConnect);
+          client.removeListener('close', onClose);
+          this.lastSession = {
+            started_at: new Date().toISOString(),
+            connected,
+            error: connected ? null : 'Broker not reachable before the deadline'
+          };
+          resolve(connected);
+        };
+        const onConnect = () => done(true);
+        const onClose = () => done(false);
+        timer = setTimeout(() => done(false), Math.max(deadline - Date.now(), 0));
+        client.once('connect', onConnect);
+        client.once('close', onClose);
+      }).finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  // Tutup koneksi kalau tidak ada request lain yang masih memakainya
+  async closeSession() {
+    this.sessions -= 1;
+    if (this.sessions > 0 || !this.mqttClient) {
       return;
     }
-    
-    const topic = `control/${deviceId}/water`;
-    const command = {
-      device_id: deviceId,
-      state: Boolean(state),
-      command_by: commandBy,
-      timestamp: new Date().toISOString()
-    };
-    
-    this.mqttClient.publish(topic, JSON.stringify(command));
-    console.log(`💧 Water command published to Raspi: ${deviceId} -> ${state}`);
+
+    const client = this.mqttClient;
+    this.mqttClient = null;
+    this.isConnected = false;
+    // Belum connect: hentikan percobaan connect, selain itu tunggu in-flight message
+    this.closing = new Promise((resolve) => client.end(!client.connected, {}, () => resolve())).finally(() => {
+      this.closing = null;
+    });
+    await this.closing;
+  }
+
+  // Jalankan fn dengan koneksi serverless, throws kalau broker tidak terjangkau
+  async withSession(fn) {
+    try {
+      if (!(await this.openSession(Date.now() + this.config.serverlessDeadlineMs))) {
+        throw new Error('MQTT broker not reachable');
+      }
+      return await fn();
+    } finally {
+      await this.closeSession();
+    }
+  }
+
+  // Resolve saat ack pertama untuk command datang atau deadline lewat
+  waitForAck(commandId, deadline) {
+    let cancel;
+    const promise = new Promise((resolve) => {
+      const timer = setTimeout(resolve, Math.max(deadline - Date.now(), 0));
+      cancel = () => {
+        clearTimeout(timer);
+        this.ackWaiters.delete(commandId);
+        resolve();
+      };
+      this.ackWaiters.set(commandId, cancel);
+    });
+    return { promise, cancel };
+  }
+
+  // Serverless: connect, publish antrian (termasuk command ini), tunggu ack
+  // sampai MQTT_SERVERLESS_DEADLINE_MS lalu disconnect. Command yang belum
+  // terkirim tetap queued dan ikut terkirim di session berikutnya.
+  async deliverCommand(command) {
+    const deadline = Date.now() + this.config.serverlessDeadlineMs;
+    const ack = this.waitForAck(command.command_id, deadline);
+
+    try {
+      if (await this.openSession(deadline)) {
+        await this.flushQueue();
+        const current = await getCommandById(command.command_id);
+        if (current && current.status === 'published') {
+          await ack.promise;
+        }
+      } else {
+        log.warn('MQTT broker not reachable, command queued', commandFields(command));
+      }
+    } finally {
+      ack.cancel();
+      await this.closeSession();
+    }
+
+    return (await getCommandById(command.command_id)) || command;
   }
 
   // Check connection status
   getStatus() {
     return {
+      mode: this.mode,
       isConnected: this.isConnected,
       broker: this.host,
-      port: this.port
+      port: this.port,
+      secure: this.config.isSecure,
+      clientId: this.mqttClient ? this.mqttClient.options.clientId : this.config.options.clientId,
+      topicPrefix: this.config.topicPrefix || null,
+      inflightCommands: this.inflight.size,
+      ...(this.mode === 'serverless' ? { activeSessions: this.sessions, lastSession: this.lastSession } : {})
     };
   }
 }
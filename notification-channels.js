@@ -0,0 +1,304 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+// Channel notifikasi untuk alert. Setiap channel punya send(notification)
+// dimana notification = { kind: 'opened' | 'renotify' | 'resolved' | 'test', alert }.
+//
+// Konfigurasi lewat env (channel tanpa config tidak aktif):
+//   webhook: ALERT_WEBHOOK_URL, ALERT_WEBHOOK_SECRET (opsional, dikirim sebagai X-Alert-Secret)
+//   email:   SMTP_HOST, SMTP_PORT, SMTP_SECURE (implicit TLS), SMTP_STARTTLS,
+//            SMTP_USER, SMTP_PASS, ALERT_EMAIL_FROM, ALERT_EMAIL_TO (comma separated)
+//   mqtt:    ALERT_MQTT_TOPIC (default 'alerts', publish ke <topic>/<device_id>,
+//            di bawah MQTT_TOPIC_PREFIX, QoS/retain dari MQTT_TOPIC_OPTIONS.alert)
+//
+// Host/port/URL bisa diarahkan ke server lokal (contoh MailHog di port 1025
+// dengan SMTP_STARTTLS=false, atau HTTP server kecil) untuk testing.
+// SMTP_USER/SMTP_PASS hanya dikirim lewat TLS (SMTP_SECURE atau STARTTLS).
+
+const CHANNEL_TIMEOUT_MS = parseInt(process.env.ALERT_CHANNEL_TIMEOUT_MS) || 10000;
+
+// Nilai header SMTP satu baris: CR/LF dari nama alert atau device_id bisa
+// menyisipkan header baru (header injection)
+function headerValue(value) {
+  return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+function formatSubject({ kind, alert }) {
+  const prefix = kind === 'resolved' ? 'RESOLVED' : alert.severity.toUpperCase();
+  return `[${prefix}] ${alert.device_id}: ${alert.message}`;
+}
+
+class WebhookChannel {
+  constructor({ url, secret = null }) {
+    this.name = 'webhook';
+    this.url = url;
+    this.secret = secret;
+  }
+
+  async send(notification) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.secret) {
+      headers['X-Alert-Secret'] = this.secret;
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        kind: notification.kind,
+        subject: formatSubject(notification),
+        alert: notification.alert
+      }),
+      signal: AbortSignal.timeout(CHANNEL_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded ${response.status}`);
+    }
+  }
+}
+
+// Minimal SMTP client (EHLO, STARTTLS, AUTH PLAIN, MAIL, RCPT, DATA)
+class SmtpConnection {
+  constructor(socket) {
+    this.socket = null;
+    this.attach(socket);
+  }
+
+  // Dipanggil lagi setelah STARTTLS dengan socket TLS yang baru
+  attach(socket) {
+    if (this.socket) {
+      this.socket.removeAllListeners('data');
+      this.socket.removeAllListeners('close');
+      this.socket.setTimeout(0);
+    }
+
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(CHANNEL_TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout')));
+    socket.on('data', (chunk) => {
+      this.buffer += chunk;
+      this.flushLines();
+    });
+    socket.on('error', (error) => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  flushLines() {
+    let index;
+    while ((index = this.buffer.indexOf('\r\n')) >= 0) {
+      const line = this.buffer.slice(0, index);
+      this.buffer = this.buffer.slice(index + 2);
+      this.lines.push(line);
+
+      // "250-..." = masih ada baris berikutnya, "250 ..." = baris terakhir
+      if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+        const response = { code: parseInt(line.slice(0, 3)), lines: this.lines };
+        this.lines = [];
+        if (this.waiting) {
+          const { resolve } = this.waiting;
+          this.waiting = null;
+          resolve(response);
+        }
+      }
+    }
+  }
+
+  fail(error) {
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(error);
+    }
+  }
+
+  read(expectedCode) {
+    return new Promise((resolve, reject) => {
+      this.waiting = {
+        resolve: (response) => {
+          if (response.code !== expectedCode) {
+            reject(new Error(`SMTP expected ${expectedCode}, got: ${response.lines.join(' ')}`));
+          } else {
+            resolve(response);
+          }
+        },
+        reject
+      };
+    });
+  }
+
+  async command(line, expectedCode) {
+    const response = this.read(expectedCode);
+    this.socket.write(`${line}\r\n`);
+    return response;
+  }
+}
+
+class SmtpChannel {
+  constructor({ host, port = 25, secure = false, starttls = true, username = null, password = null, from, to }) {
+    this.name = 'email';
+    this.host = host;
+    this.port = port;
+    this.secure = secure;
+    this.starttls = starttls;
+    this.username = username;
+    this.password = password;
+    this.from = from;
+    this.to = to;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host }, () => resolve(socket))
+        : net.connect({ host: this.host, port: this.port }, () => resolve(socket));
+      socket.once('error', reject);
+    });
+  }
+
+  buildMessage(notification) {
+    const { alert } = notification;
+    const body = [
+      `Alert: ${alert.message}`,
+      `Device: ${alert.device_id}`,
+      `Severity: ${alert.severity}`,
+      `Status: ${notification.kind === 'resolved' ? 'resolved' : alert.status}`,
+      `Opened at: ${alert.opened_at}`,
+      alert.value !== undefined && alert.value !== null ? `Value: ${alert.value}` : null,
+      `Alert ID: ${alert.alert_id}`
+    ].filter(Boolean).join('\r\n');
+
+    const headers = [
+      `From: ${headerValue(this.from)}`,
+      `To: ${headerValue(this.to.join(', '))}`,
+      `Subject: ${headerValue(formatSubject(notification))}`,
+      `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8'
+    ].join('\r\n');
+
+    // Dot-stuffing: baris yang diawali titik harus digandakan
+    return `${headers}\r\n\r\n${body}`.replace(/^\./gm, '..');
+  }
+
+  async send(notification) {
+    const socket = await this.connect();
+    const connection = new SmtpConnection(socket);
+
+    try {
+      await connection.read(220);
+      let ehlo = await connection.command(`EHLO ${os.hostname()}`, 250);
+
+      // Tanpa STARTTLS di EHLO (bisa di-strip di jalan) jangan fallback ke plaintext
+      let encrypted = this.secure;
+      if (!this.secure && this.starttls) {
+        if (!ehlo.lines.some((line) => /STARTTLS/i.test(line))) {
+          throw new Error('SMTP server does not support STARTTLS (set SMTP_STARTTLS=false to send without TLS)');
+        }
+
+        await connection.command('STARTTLS', 220);
+        const secureSocket = await new Promise((resolve, reject) => {
+          const upgraded = tls.connect({ socket, servername: this.host }, () => resolve(upgraded));
+          upgraded.once('error', reject);
+        });
+        connection.attach(secureSocket);
+        ehlo = await connection.command(`EHLO ${os.hostname()}`, 250);
+        encrypted = true;
+      }
+
+      if (this.username) {
+        if (!encrypted) {
+          throw new Error('Refusing to send SMTP credentials without TLS (enable SMTP_SECURE or SMTP_STARTTLS)');
+        }
+        const credentials = Buffer.from(`\u0000${this.username}\u0000${this.password || ''}`).toString('base64');
+        await connection.command(`AUTH PLAIN ${credentials}`, 235);
+      }
+
+      await connection.command(`MAIL FROM:<${this.from}>`, 250);
+      for (const recipient of this.to) {
+        await connection.command(`RCPT TO:<${recipient}>`, 250);
+      }
+      await connection.command('DATA', 354);
+      await connection.command(`${this.buildMessage(notification)}\r\n.`, 250);
+      await connection.command('QUIT', 221).catch(() => {});
+    } finally {
+      connection.socket.destroy();
+    }
+  }
+}
+
+class MqttAlertChannel {
+  constructor(mqttHandler, { topic = 'alerts' } = {}) {
+    this.name = 'mqtt';
+    this.mqttHandler = mqttHandler;
+    this.topic = topic;
+  }
+
+  async send(notification) {
+    const { alert } = notification;
+    const payload = JSON.stringify({
+      kind: notification.kind,
+      subject: formatSubject(notification),
+      alert
+    });
+    const publish = () => new Promise((resolve, reject) => {
+      this.mqttHandler.publish('alert', `${this.topic}/${alert.device_id}`, payload, (error) => {
+        if (error) reject(error);
+        else resolve();
+      });
+    });
+
+    // Serverless: connect hanya untuk publish alert ini
+    if (this.mqttHandler.mode === 'serverless') {
+      await this.mqttHandler.withSession(publish);
+      return;
+    }
+    if (!this.mqttHandler.isConnected) {
+      throw new Error('MQTT not connected');
+    }
+    await publish();
+  }
+}
+
+// Buat channel yang dikonfigurasi lewat env. MQTT selalu aktif.
+function createNotificationChannels(mqttHandler, env = process.env) {
+  const channels = {};
+
+  if (env.ALERT_WEBHOOK_URL) {
+    channels.webhook = new WebhookChannel({
+      url: env.ALERT_WEBHOOK_URL,
+      secret: env.ALERT_WEBHOOK_SECRET || null
+    });
+  }
+
+  if (env.SMTP_HOST && env.ALERT_EMAIL_TO) {
+    channels.email = new SmtpChannel({
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT) || (env.SMTP_SECURE === 'true' ? 465 : 25),
+      secure: env.SMTP_SECURE === 'true',
+      starttls: env.SMTP_STARTTLS !== 'false',
+      username: env.SMTP_USER || null,
+      password: env.SMTP_PASS || null,
+      from: env.ALERT_EMAIL_FROM || `iot-backend@${os.hostname()}`,
+      to: env.ALERT_EMAIL_TO.split(',').map((address) => address.trim()).filter(Boolean)
+    });
+  }
+
+  if (mqttHandler) {
+    channels.mqtt = new MqttAlertChannel(mqttHandler, { topic: env.ALERT_MQTT_TOPIC || 'alerts' });
+  }
+
+  return channels;
+}
+
+module.exports = {
+  WebhookChannel,
+  SmtpChannel,
+  MqttAlertChannel,
+  createNotificationChannels
+};
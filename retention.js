@@ -0,0 +1,194 @@
+const {
+  RETENTION,
+  ROLLUP_TABLES,
+  ROLLUP_BUCKET_MS,
+  getRetentionCutoff,
+  getRollupWatermark,
+  getSensorDataRange,
+  getOldestTimestamp,
+  getRollups,
+  saveRollups,
+  deleteSensorRange
+} = require('./database');
+const { rollupReadings, mergeRollups } = require('./aggregation');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'retention' });
+
+// Retention job: rollup raw sensor_data ke sensor_data_hourly, rollup hourly
+// ke sensor_data_daily, lalu hapus data yang lewat retention (lihat RETENTION
+// di database.js). Jalan di background dari server.js, atau lewat
+// /api/retention/run untuk Vercel cron.
+//
+// Raw hanya dihapus sampai jam terakhir yang sudah di-rollup, hourly sampai
+// hari terakhir yang sudah di-rollup, jadi data tidak pernah hilang sebelum
+// masuk ke rollup. Cutoff dibulatkan ke awal bucket supaya setiap jam/hari
+// selalu lengkap di salah satu sumber history. Beberapa bucket terakhir dihitung ulang setiap run supaya
+// reading yang datang telat tetap masuk.
+
+const RETENTION_INTERVAL_MS = parseInt(process.env.RETENTION_INTERVAL_MS) || 60 * 60 * 1000;
+const RECOMPUTE_BUCKETS = 2;
+// Raw diproses per hari, hourly per 31 hari, supaya satu query tidak terlalu besar
+const CHUNK_MS = {
+  hour: ROLLUP_BUCKET_MS.day,
+  day: 31 * ROLLUP_BUCKET_MS.day
+};
+
+function floorTo(time, bucketMs) {
+  return Math.floor(time / bucketMs) * bucketMs;
+}
+
+// Gabung hourly rollup per device per hari (UTC)
+function rollupHourly(hourly) {
+  const groups = new Map();
+  for (const rollup of hourly) {
+    const start = floorTo(new Date(rollup.bucket_start).getTime(), ROLLUP_BUCKET_MS.day);
+    const key = `${rollup.device_id}|${start}`;
+    if (!groups.has(key)) {
+      groups.set(key, { device_id: rollup.device_id, bucket_start: new Date(start).toISOString(), items: [] });
+    }
+    groups.get(key).items.push(rollup);
+  }
+
+  return [...groups.values()].map(({ device_id, bucket_start, items }) => (
+    mergeRollups(items, { device_id, bucket_start })
+  ));
+}
+
+// Hitung (ulang) rollup untuk bucket dalam [from, until), returns jumlah rollup
+async function rollupRange(resolution, from, until) {
+  const bucketMs = ROLLUP_BUCKET_MS[resolution];
+  let written = 0;
+
+  for (let start = from; start < until; start += CHUNK_MS[resolution]) {
+    const end = Math.min(start + CHUNK_MS[resolution], until);
+    const rollups = resolution === 'hour'
+      ? rollupReadings(await getSensorDataRange(start, end), bucketMs)
+      : rollupHourly(await getRollups('hour', start, end));
+
+    written += (await saveRollups(resolution, rollups)).length;
+  }
+  return written;
+}
+
+// Reading backfill (timestamp dari device) bisa masuk ke bucket yang sudah
+// di-rollup. Hitung ulang bucket itu supaya history tetap lengkap.
+async function refreshRollups(from, to) {
+  let written = 0;
+
+  const hourlyUntil = await getRollupWatermark('hour');
+  if (hourlyUntil !== null && from < hourlyUntil) {
+    const end = Math.min(floorTo(to, ROLLUP_BUCKET_MS.hour) + ROLLUP_BUCKET_MS.hour, hourlyUntil);
+    written += await rollupRange('hour', floorTo(from, ROLLUP_BUCKET_MS.hour), end);
+  }
+
+  const dailyUntil = await getRollupWatermark('day');
+  if (dailyUntil !== null && from < dailyUntil) {
+    const end = Math.min(floorTo(to, ROLLUP_BUCKET_MS.day) + ROLLUP_BUCKET_MS.day, dailyUntil);
+    written += await rollupRange('day', floorTo(from, ROLLUP_BUCKET_MS.day), end);
+  }
+
+  return written;
+}
+
+class RetentionJob {
+  constructor({ intervalMs = RETENTION_INTERVAL_MS } = {}) {
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) => log.error('Retention run failed', { err: error }));
+    }, this.intervalMs);
+    log.info('Retention job started', { interval_seconds: this.intervalMs / 1000, raw_days: RETENTION.raw_days });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Returns jumlah rollup yang ditulis dan row yang dihapus,
+  // null kalau run sebelumnya masih jalan
+  async run(now = new Date()) {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const time = now.getTime();
+      const hourlyUntil = floorTo(time, ROLLUP_BUCKET_MS.hour);
+      const dailyUntil = floorTo(time, ROLLUP_BUCKET_MS.day);
+
+      const result = {
+        hourly_rollups: await this.rollup('hour', 'sensor_data', hourlyUntil),
+        daily_rollups: await this.rollup('day', ROLLUP_TABLES.hour, dailyUntil),
+        deleted: {
+          raw: await this.purge('raw', Math.min(floorTo(getRetentionCutoff(RETENTION.raw_days, time), ROLLUP_BUCKET_MS.hour), hourlyUntil)),
+          hourly: await this.purge('hour', Math.min(floorTo(getRetentionCutoff(RETENTION.hourly_days, time), ROLLUP_BUCKET_MS.day), dailyUntil)),
+          daily: await this.purge('day', floorTo(getRetentionCutoff(RETENTION.daily_days, time), ROLLUP_BUCKET_MS.day))
+        },
+        ran_at: now.toISOString()
+      };
+
+      this.lastRun = result;
+      const deleted = result.deleted.raw + result.deleted.hourly + result.deleted.daily;
+      if (result.hourly_rollups > 0 || result.daily_rollups > 0 || deleted > 0) {
+        log.info('Retention run', { hourly_rollups: result.hourly_rollups, daily_rollups: result.daily_rollups, deleted });
+      }
+      return result;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Hitung rollup resolution dari sourceTable sampai `until` (exclusive)
+  async rollup(resolution, sourceTable, until) {
+    const bucketMs = ROLLUP_BUCKET_MS[resolution];
+    const watermark = await getRollupWatermark(resolution);
+    const oldest = await getOldestTimestamp(sourceTable);
+    if (oldest === null) {
+      return 0;
+    }
+
+    // Bucket yang sumbernya sebagian sudah dihapus tidak dihitung ulang
+    const start = watermark !== null
+      ? Math.max(watermark - RECOMPUTE_BUCKETS * bucketMs, Math.ceil(oldest / bucketMs) * bucketMs)
+      : floorTo(oldest, bucketMs);
+
+    return rollupRange(resolution, start, until);
+  }
+
+  // Hapus data sebelum cutoff, per chunk dari data paling tua
+  async purge(source, cutoff) {
+    if (!cutoff) {
+      return 0;
+    }
+
+    const table = source === 'raw' ? 'sensor_data' : ROLLUP_TABLES[source];
+    const oldest = await getOldestTimestamp(table);
+    if (oldest === null || oldest >= cutoff) {
+      return 0;
+    }
+
+    const chunkMs = source === 'raw' ? CHUNK_MS.hour : CHUNK_MS.day;
+    let deleted = 0;
+    for (let from = oldest; from < cutoff; from += chunkMs) {
+      deleted += await deleteSensorRange(source, from, Math.min(from + chunkMs, cutoff));
+    }
+    return deleted;
+  }
+}
+
+module.exports = {
+  RetentionJob,
+  refreshRollups
+};
@@ -0,0 +1,344 @@
+const { CommandRejectedError } = require('./errors');
+const { getCommands, getLatestSensorData, getDeviceShadow } = require('./database');
+
+// Safety layer di depan setiap actuator command (control API, automation,
+// scheduler dan replay antrian): rate limit, batas sudut dan interlock.
+//
+// Default dari env, bisa di-override per device lewat devices.safety:
+// {
+//   servo: { min_interval_seconds: 2, max_per_minute: 10, min_angle: 0, max_angle: 180 },
+//   water: { min_interval_seconds: 2, max_per_minute: 10 },
+//   interlocks: [ ...interlock ]   // ganti SAFETY_INTERLOCKS untuk device ini, [] = tanpa interlock
+// }
+//
+// Interlock menolak command kalau salah satu kondisi block_if terpenuhi:
+// {
+//   id: 'no_water_roof_closed',
+//   type: 'water',
+//   when: { operator: '==', value: true },      // opsional, dicek ke angle/state command
+//   block_if: [{ metric: 'servo_angle', operator: '<=', value: 10 }],
+//   message: 'Water is blocked while the roof is closed'
+// }
+//
+// metric: field dari reading terakhir (humidity, rain, ...), atau servo_angle /
+// water_state dari reported state device (shadow), kalau belum ada dari command
+// terakhir yang sudah di-ack device. Reading dan reported state yang lebih tua
+// dari SAFETY_READING_MAX_AGE_SECONDS diabaikan.
+
+const COMMAND_TYPES = ['servo', 'water'];
+const OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '==': (value, threshold) => value === threshold,
+  '!=': (value, threshold) => value !== threshold
+};
+const ACTUATOR_METRICS = ['servo_angle', 'water_state'];
+// Status command yang sudah dikonfirmasi device (timeout belum tentu dijalankan)
+const CONFIRMED_STATUSES = ['acknowledged', 'completed'];
+// metric interlock -> field reported state di shadow
+const REPORTED_FIELDS = {
+  servo_angle: 'servo_state',
+  water_state: 'water_state'
+};
+// Status command yang tidak pernah sampai ke device, tidak dihitung rate limit
+const UNDELIVERED_STATUSES = ['expired', 'rejected'];
+
+const DEFAULT_LIMITS = {
+  min_interval_seconds: process.env.SAFETY_MIN_INTERVAL_SECONDS !== undefined
+    ? parseFloat(process.env.SAFETY_MIN_INTERVAL_SECONDS)
+    : 2,
+  max_per_minute: parseInt(process.env.SAFETY_MAX_COMMANDS_PER_MINUTE) || 10,
+  min_angle: 0,
+  max_angle: 180
+};
+const READING_MAX_AGE_MS = (parseInt(process.env.SAFETY_READING_MAX_AGE_SECONDS) || 900) * 1000;
+
+// Roof dianggap tertutup di sudut <= 10°
+const DEFAULT_INTERLOCKS = [
+  {
+    id: 'no_water_roof_closed',
+    type: 'water',
+    when: { operator: '==', value: true },
+    block_if: [{ metric: 'servo_angle', operator: '<=', value: 10 }],
+    message: 'Water is blocked while the roof is closed'
+  },
+  {
+    id: 'no_open_on_rain',
+    type: 'servo',
+    when: { operator: '>', value: 10 },
+    block_if: [
+      { metric: 'rain', operator: '==', value: true },
+      { metric: 'humidity', operator: '>=', value: 85 }
+    ],
+    message: 'Opening the roof is blocked while it rains or humidity is high'
+  }
+];
+
+function validateCondition(condition, label) {
+  if (!condition || typeof condition !== 'object') {
+    return `${label} must be an object`;
+  }
+  if (!OPERATORS[condition.operator]) {
+    return `${label}.operator must be one of: ${Object.keys(OPERATORS).join(' ')}`;
+  }
+  if (!['number', 'boolean'].includes(typeof condition.value)) {
+    return `${label}.value must be a number or boolean`;
+  }
+  return null;
+}
+
+function validateInterlocks(interlocks) {
+  if (!Array.isArray(interlocks)) {
+    return 'interlocks must be an array';
+  }
+
+  for (const [index, interlock] of interlocks.entries()) {
+    const label = `interlocks[${index}]`;
+    if (!interlock || typeof interlock.id !== 'string' || !interlock.id) {
+      return `${label}.id is required`;
+    }
+    if (!COMMAND_TYPES.includes(interlock.type)) {
+      return `${label}.type must be one of: ${COMMAND_TYPES.join(', ')}`;
+    }
+    if (interlock.when !== undefined) {
+      const error = validateCondition(interlock.when, `${label}.when`);
+      if (error) return error;
+    }
+    if (!Array.isArray(interlock.block_if) || interlock.block_if.length === 0) {
+      return `${label}.block_if must be a non-empty array`;
+    }
+    for (const [conditionIndex, condition] of interlock.block_if.entries()) {
+      const error = validateCondition(condition, `${label}.block_if[${conditionIndex}]`);
+      if (error) return error;
+      if (typeof condition.metric !== 'string' || !condition.metric) {
+        return `${label}.block_if[${conditionIndex}].metric is required`;
+      }
+    }
+    if (interlock.message !== undefined && typeof interlock.message !== 'string') {
+      return `${label}.message must be a string`;
+    }
+  }
+  return null;
+}
+
+// Validate devices.safety dari device registry API, null = pakai default
+function validateSafety(safety) {
+  if (safety === null) {
+    return null;
+  }
+  if (typeof safety !== 'object' || Array.isArray(safety)) {
+    return 'safety must be an object';
+  }
+
+  for (const type of COMMAND_TYPES) {
+    const limits = safety[type];
+    if (limits === undefined) continue;
+    if (typeof limits !== 'object' || limits === null) {
+      return `safety.${type} must be an object`;
+    }
+    for (const field of ['min_interval_seconds', 'max_per_minute']) {
+      if (limits[field] !== undefined && (typeof limits[field] !== 'number' || limits[field] < 0)) {
+        return `safety.${type}.${field} must be a non-negative number`;
+      }
+    }
+  }
+
+  const servo = safety.servo || {};
+  const min = servo.min_angle === undefined ? 0 : servo.min_angle;
+  const max = servo.max_angle === undefined ? 180 : servo.max_angle;
+  if (typeof min !== 'number' || typeof max !== 'number' || min < 0 || max > 180 || min > max) {
+    return 'safety.servo angle limits must be within 0..180 with min_angle <= max_angle';
+  }
+
+  if (safety.interlocks !== undefined) {
+    return validateInterlocks(safety.interlocks);
+  }
+  return null;
+}
+
+function loadInterlocks() {
+  if (!process.env.SAFETY_INTERLOCKS) {
+    return DEFAULT_INTERLOCKS;
+  }
+
+  let interlocks;
+  try {
+    interlocks = JSON.parse(process.env.SAFETY_INTERLOCKS);
+  } catch (error) {
+    throw new Error(`SAFETY_INTERLOCKS must be a JSON array: ${error.message}`);
+  }
+
+  const error = validateInterlocks(interlocks);
+  if (error) {
+    throw new Error(`SAFETY_INTERLOCKS: ${error}`);
+  }
+  return interlocks;
+}
+
+const interlocks = loadInterlocks();
+
+function getLimits(device, type) {
+  const safety = (device && device.safety) || {};
+  return { ...DEFAULT_LIMITS, ...(safety[type] || {}) };
+}
+
+function getInterlocks(device) {
+  const safety = (device && device.safety) || {};
+  return safety.interlocks || interlocks;
+}
+
+function reject(reason, message, status) {
+  throw new CommandRejectedError(reason, message, status);
+}
+
+function assertValue(device, type, value) {
+  if (type === 'servo') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      reject('invalid_value', 'Angle must be a number', 400);
+    }
+
+    const { min_angle: min, max_angle: max } = getLimits(device, 'servo');
+    if (value < min || value > max) {
+      reject('angle_out_of_range', `Angle ${value} outside safety limits ${min}..${max} for ${device.device_id}`, 422);
+    }
+  }
+  if (type === 'water' && typeof value !== 'boolean') {
+    reject('invalid_value', 'Water state must be a boolean', 400);
+  }
+}
+
+async function assertRateLimit(device, type, now) {
+  const { min_interval_seconds: minInterval, max_per_minute: maxPerMinute } = getLimits(device, type);
+  const windowMs = Math.max(60, minInterval) * 1000;
+
+  const recent = (await getCommands({
+    device_id: device.device_id,
+    type,
+    from: new Date(now.getTime() - windowMs).toISOString(),
+    limit: 1000
+  })).filter((command) => !UNDELIVERED_STATUSES.includes(command.status));
+
+  if (recent.length > 0 && minInterval > 0) {
+    const elapsed = (now - new Date(recent[0].created_at)) / 1000;
+    if (elapsed < minInterval) {
+      reject(
+        'min_interval',
+        `${type} commands for ${device.device_id} need ${minInterval}s between them, last one was ${elapsed.toFixed(1)}s ago`,
+        429
+      );
+    }
+  }
+
+  const lastMinute = recent.filter((command) => now - new Date(command.created_at) < 60000);
+  if (lastMinute.length >= maxPerMinute) {
+    reject(
+      'rate_limited',
+      `${type} commands for ${device.device_id} are limited to ${maxPerMinute} per minute`,
+      429
+    );
+  }
+}
+
+// Sudut servo / state water dari reported state device, kalau tidak ada dari
+// command terakhir yang sudah di-ack. null kalau belum diketahui
+async function getActuatorValue(deviceId, metric, now = new Date()) {
+  const shadow = await getDeviceShadow(deviceId);
+  const reported = shadow && shadow.reported ? shadow.reported[REPORTED_FIELDS[metric]] : undefined;
+  if (reported !== undefined && reported !== null && now - new Date(shadow.reported_at) <= READING_MAX_AGE_MS) {
+    return reported;
+  }
+
+  const type = metric === 'servo_angle' ? 'servo' : 'water';
+  const commands = await getCommands({ device_id: deviceId, type, limit: 20 });
+  const last = commands.find((command) => CONFIRMED_STATUSES.includes(command.status));
+  if (!last) {
+    return null;
+  }
+
+  if (type === 'servo') {
+    return last.payload.final_angle !== undefined && last.payload.final_angle !== null
+      ? last.payload.final_angle
+      : last.payload.target_angle;
+  }
+  return last.payload.state;
+}
+
+// Throws CommandRejectedError kalau interlock aktif untuk command ini
+async function assertInterlocks(device, type, value, now = new Date()) {
+  const applicable = getInterlocks(device).filter((interlock) => {
+    if (interlock.type !== type) return false;
+    return !interlock.when || OPERATORS[interlock.when.operator](value, interlock.when.value);
+  });
+  if (applicable.length === 0) {
+    return;
+  }
+
+  let reading;
+  const values = {};
+  const resolve = async (metric) => {
+    if (ACTUATOR_METRICS.includes(metric)) {
+      if (!(metric in values)) {
+        values[metric] = await getActuatorValue(device.device_id, metric, now);
+      }
+      return values[metric];
+    }
+
+    if (reading === undefined) {
+      const latest = await getLatestSensorData(device.device_id);
+      const fresh = latest && now - new Date(latest.timestamp) <= READING_MAX_AGE_MS;
+      reading = fresh ? latest : null;
+    }
+    return reading ? reading[metric] : undefined;
+  };
+
+  for (const interlock of applicable) {
+    for (const condition of interlock.block_if) {
+      const current = await resolve(condition.metric);
+      if (current === undefined || current === null) {
+        continue;
+      }
+
+      if (OPERATORS[condition.operator](current, condition.value)) {
+        reject(
+          'interlock',
+          `${interlock.message || `Blocked by interlock ${interlock.id}`} (${interlock.id}: ${condition.metric} ${current} ${condition.operator} ${condition.value})`,
+          409
+        );
+      }
+    }
+  }
+}
+
+// Rate limit dihitung dari commands log, jadi cek + simpan command harus
+// berurutan per device/type. Kalau tidak, request yang bersamaan (group
+// control + automation rules) sama-sama lolos limit. Antrian per process.
+const commandSlots = new Map();
+
+function withCommandSlot(deviceId, type, fn) {
+  const key = `${deviceId}:${type}`;
+  const previous = commandSlots.get(key) || Promise.resolve();
+  const run = previous.then(() => fn());
+  const tail = run.catch(() => {});
+  commandSlots.set(key, tail);
+  tail.then(() => {
+    if (commandSlots.get(key) === tail) commandSlots.delete(key);
+  });
+  return run;
+}
+
+// Throws CommandRejectedError kalau command tidak aman untuk dikirim
+async function assertCommandSafe(device, type, value, now = new Date()) {
+  assertValue(device, type, value);
+  await assertRateLimit(device, type, now);
+  await assertInterlocks(device, type, value, now);
+}
+
+module.exports = {
+  DEFAULT_INTERLOCKS,
+  validateSafety,
+  assertCommandSafe,
+  assertInterlocks,
+  withCommandSlot
+};
@@ -0,0 +1,285 @@
+const {
+  getDueSchedules,
+  updateSchedule,
+  saveScheduleExecution,
+  updateScheduleExecution,
+  getDueReverts
+} = require('./database');
+const { validateAction } = require('./automation-engine');
+const { getNextRun } = require('./cron');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'scheduler' });
+
+// Scheduler untuk command actuator terjadwal.
+//
+// Schedule:
+// {
+//   name, device_id,
+//   cron: '0 6 * * *'  atau  interval_seconds: 3600 (opsional start_at),
+//   action: { type: 'water', state: true },
+//   duration_seconds: 600,                      // opsional: timed action
+//   revert_action: { type: 'water', state: false }  // default kebalikan action water
+// }
+//
+// Semua state (next_run_at, revert yang pending) disimpan di storage, jadi
+// schedule tetap jalan setelah restart. server.js menjalankan tick() berkala,
+// di Vercel tick() dipanggil lewat cron ke /api/schedules/run.
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 30000;
+const MIN_INTERVAL_SECONDS = 60;
+
+function computeNextRun(schedule, after = new Date()) {
+  if (schedule.cron) {
+    return getNextRun(schedule.cron, after);
+  }
+
+  const intervalMs = schedule.interval_seconds * 1000;
+  const startAt = schedule.start_at ? new Date(schedule.start_at) : null;
+  if (startAt && startAt > after) {
+    return startAt;
+  }
+
+  // Tetap sejajar dengan jadwal sebelumnya, tanpa mengejar run yang terlewat
+  let next = schedule.next_run_at ? new Date(schedule.next_run_at).getTime() + intervalMs : after.getTime() + intervalMs;
+  if (next <= after.getTime()) {
+    next = after.getTime() + intervalMs;
+  }
+  return new Date(next);
+}
+
+function actionValue(action) {
+  return action.type === 'servo' ? action.angle : action.state;
+}
+
+// Validate schedule body from the API. partial=true untuk PATCH
+function validateSchedule(input, { partial = false } = {}) {
+  const schedule = {};
+
+  if (input.name !== undefined || !partial) {
+    if (!input.name || typeof input.name !== 'string') {
+      return { error: 'name is required' };
+    }
+    schedule.name = input.name;
+  }
+  if (input.device_id !== undefined || !partial) {
+    if (!input.device_id) {
+      return { error: 'device_id is required' };
+    }
+    schedule.device_id = input.device_id;
+  }
+
+  if (input.cron !== undefined || input.interval_seconds !== undefined || !partial) {
+    if (input.cron && input.interval_seconds) {
+      return { error: 'Use either cron or interval_seconds, not both' };
+    }
+    if (input.cron) {
+      // Cron yang valid tapi tidak pernah cocok (contoh 30 Februari) tidak akan jalan
+      try {
+        if (!getNextRun(input.cron)) {
+          return { error: `cron expression ${input.cron} never matches a date` };
+        }
+      } catch (error) {
+        return { error: error.message };
+      }
+      schedule.cron = input.cron;
+      schedule.interval_seconds = null;
+    } else if (input.interval_seconds !== undefined) {
+      if (typeof input.interval_seconds !== 'number' || input.interval_seconds < MIN_INTERVAL_SECONDS) {
+        return { error: `interval_seconds must be a number >= ${MIN_INTERVAL_SECONDS}` };
+      }
+      schedule.interval_seconds = input.interval_seconds;
+      schedule.cron = null;
+    } else {
+      return { error: 'cron or interval_seconds is required' };
+    }
+  }
+  if (input.start_at !== undefined) {
+    if (input.start_at && isNaN(new Date(input.start_at).getTime())) {
+      return { error: 'start_at must be a valid timestamp' };
+    }
+    schedule.start_at = input.start_at ? new Date(input.start_at).toISOString() : null;
+  }
+
+  if (input.action !== undefined || !partial) {
+    const error = validateAction(input.action);
+    if (error) return { error };
+    schedule.action = input.action;
+  }
+  if (input.duration_seconds !== undefined) {
+    if (input.duration_seconds !== null && (typeof input.duration_seconds !== 'number' || input.duration_seconds <= 0)) {
+      return { error: 'duration_seconds must be a positive number' };
+    }
+    schedule.duration_seconds = input.duration_seconds;
+  }
+  if (input.revert_action !== undefined) {
+    if (input.revert_action !== null) {
+      const error = validateAction(input.revert_action);
+      if (error) return { error: `revert_action: ${error}` };
+    }
+    schedule.revert_action = input.revert_action;
+  }
+
+  if (!partial) {
+    if (schedule.duration_seconds && schedule.action.type === 'servo' && !schedule.revert_action) {
+      return { error: 'revert_action is required for a timed servo action' };
+    }
+    schedule.paused = input.paused === true;
+    schedule.skip_next = false;
+  }
+
+  return { schedule };
+}
+
+// Revert untuk timed action: revert_action eksplisit, atau kebalikan action water
+function getRevertAction(schedule) {
+  if (!schedule.duration_seconds) {
+    return null;
+  }
+  if (schedule.revert_action) {
+    return schedule.revert_action;
+  }
+  if (schedule.action.type === 'water') {
+    return { type: 'water', state: !schedule.action.state };
+  }
+  return null;
+}
+
+class Scheduler {
+  constructor(mqttHandler, { intervalMs = SCHEDULER_INTERVAL_MS } = {}) {
+    this.mqttHandler = mqttHandler;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    log.info('Scheduler started', { interval_seconds: this.intervalMs / 1000 });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick(now = new Date()) {
+    const result = { executed: 0, skipped: 0, failed: 0, reverted: 0 };
+
+    if (this.isRunning) {
+      return result;
+    }
+    this.isRunning = true;
+
+    try {
+      const schedules = await getDueSchedules(now.toISOString());
+      for (const schedule of schedules) {
+        const status = await this.runSchedule(schedule, now);
+        if (status) result[status]++;
+      }
+
+      const reverts = await getDueReverts(now.toISOString());
+      for (const execution of reverts) {
+        if (await this.runRevert(execution)) result.reverted++;
+      }
+    } catch (error) {
+      log.error('Scheduler tick failed', { err: error });
+    } finally {
+      this.isRunning = false;
+    }
+
+    return result;
+  }
+
+  async runSchedule(schedule, now) {
+    const nextRun = computeNextRun(schedule, now);
+
+    // Claim schedule dulu, kalau next_run_at sudah berubah berarti worker lain sudah jalan
+    const claimed = await updateSchedule(schedule.schedule_id, {
+      next_run_at: nextRun ? nextRun.toISOString() : null,
+      last_run_at: now.toISOString(),
+      skip_next: false
+    }, { next_run_at: schedule.next_run_at });
+
+    if (!claimed) {
+      return null;
+    }
+
+    const execution = {
+      schedule_id: schedule.schedule_id,
+      device_id: schedule.device_id,
+      scheduled_for: schedule.next_run_at,
+      action: schedule.action
+    };
+
+    if (schedule.skip_next) {
+      await saveScheduleExecution({ ...execution, status: 'skipped' });
+      log.info('Schedule skipped', { schedule_id: schedule.schedule_id, schedule: schedule.name });
+      return 'skipped';
+    }
+
+    try {
+      const command = await this.mqttHandler.sendCommand(
+        schedule.action.type,
+        schedule.device_id,
+        actionValue(schedule.action),
+        { commandBy: schedule.schedule_id, source: 'schedule' }
+      );
+
+      const revertAction = getRevertAction(schedule);
+      await saveScheduleExecution({
+        ...execution,
+        status: 'executed',
+        command_id: command.command_id,
+        revert_action: revertAction,
+        revert_at: revertAction ? new Date(now.getTime() + schedule.duration_seconds * 1000).toISOString() : null,
+        revert_status: revertAction ? 'pending' : null
+      });
+
+      log.info('Schedule executed', { schedule_id: schedule.schedule_id, schedule: schedule.name, device_id: schedule.device_id });
+      return 'executed';
+    } catch (error) {
+      await saveScheduleExecution({ ...execution, status: 'failed', error_message: error.message });
+      log.error('Schedule failed', { schedule_id: schedule.schedule_id, schedule: schedule.name, device_id: schedule.device_id, err: error });
+      return 'failed';
+    }
+  }
+
+  async runRevert(execution) {
+    const claimed = await updateScheduleExecution(execution.id, { revert_status: 'running' }, { revert_status: 'pending' });
+    if (!claimed) {
+      return false;
+    }
+
+    try {
+      const action = execution.revert_action;
+      const command = await this.mqttHandler.sendCommand(action.type, execution.device_id, actionValue(action), {
+        commandBy: execution.schedule_id,
+        source: 'schedule'
+      });
+
+      await updateScheduleExecution(execution.id, {
+        revert_status: 'done',
+        revert_command_id: command.command_id,
+        reverted_at: new Date().toISOString()
+      });
+      log.info('Timed action reverted', { schedule_id: execution.schedule_id, device_id: execution.device_id });
+      return true;
+    } catch (error) {
+      await updateScheduleExecution(execution.id, { revert_status: 'failed', error_message: error.message });
+      log.error('Timed action revert failed', { schedule_id: execution.schedule_id, device_id: execution.device_id, err: error });
+      return false;
+    }
+  }
+}
+
+module.exports = {
+  Scheduler,
+  validateSchedule,
+  computeNextRun,
+  SCHEDULER_INTERVAL_MS
+};
@@ -0,0 +1,383 @@
+-- Supabase schema untuk iot-backend
+-- Jalankan di Supabase SQL Editor
+
+create table if not exists devices (
+  device_id text primary key,
+  device_name text,
+  -- Menentukan metric tambahan dari metric_definitions, null = hanya metric '*'
+  device_type text,
+  location text,
+  site text,
+  description text,
+  tags jsonb default '[]'::jsonb,
+  -- { servo: { min_angle, max_angle } | false, water: bool, sensors: [...] }, null = belum dideklarasikan
+  capabilities jsonb,
+  -- Rate limit, batas sudut dan interlock per device (lihat safety.js), null = default
+  safety jsonb,
+  -- Device baru dari ingestion masuk sebagai 'pending' sampai di-approve admin
+  status text default 'approved',
+  last_seen timestamptz,
+  is_online boolean default false,
+  status_changed_at timestamptz,
+  -- Watchdog: offline setelah report_interval_seconds * max_missed_reports tanpa data
+  report_interval_seconds integer,
+  max_missed_reports integer,
+  created_at timestamptz default now(),
+  updated_at timestamptz
+);
+
+-- Database yang sudah ada: create table if not exists tidak menambah kolom baru
+alter table devices add column if not exists device_type text;
+alter table devices add column if not exists status_changed_at timestamptz;
+alter table devices add column if not exists report_interval_seconds integer;
+alter table devices add column if not exists max_missed_reports integer;
+alter table devices add column if not exists location text;
+alter table devices add column if not exists site text;
+alter table devices add column if not exists description text;
+alter table devices add column if not exists tags jsonb default '[]'::jsonb;
+alter table devices add column if not exists capabilities jsonb;
+alter table devices add column if not exists safety jsonb;
+-- Device lama tetap approved
+alter table devices add column if not exists status text default 'approved';
+alter table devices add column if not exists created_at timestamptz default now();
+alter table devices add column if not exists updated_at timestamptz;
+
+create table if not exists sensor_data (
+  id bigserial primary key,
+  device_id text not null,
+  temperature double precision,
+  humidity double precision,
+  pressure double precision,
+  servo_state integer default 0,
+  water_state boolean default false,
+  -- Metric tambahan dari metric_definitions, { rain: true, soil_moisture: 41.5 }
+  metrics jsonb default '{}'::jsonb,
+  timestamp timestamptz default now()
+);
+
+alter table sensor_data add column if not exists metrics jsonb default '{}'::jsonb;
+
+-- Reading terbaru per device, di-update setiap ingest (untuk /api/data).
+-- Kolomnya sama dengan sensor_data, reading_id = sensor_data.id
+create table if not exists sensor_latest (
+  device_id text primary key,
+  reading_id bigint,
+  temperature double precision,
+  humidity double precision,
+  pressure double precision,
+  servo_state integer,
+  water_state boolean,
+  metrics jsonb default '{}'::jsonb,
+  timestamp timestamptz,
+  updated_at timestamptz default now()
+);
+
+alter table sensor_latest add column if not exists metrics jsonb default '{}'::jsonb;
+
+-- Metric registry: sensor tambahan per device type (lihat metric-registry.js).
+-- device_type '*' = semua device
+create table if not exists metric_definitions (
+  id bigserial primary key,
+  metric_id uuid not null unique,
+  device_type text not null default '*',
+  name text not null,
+  unit text,
+  type text not null,
+  min double precision,
+  max double precision,
+  on_invalid text not null default 'drop',
+  aggregate text not null default 'avg',
+  description text,
+  created_by text,
+  created_at timestamptz default now(),
+  updated_at timestamptz,
+  unique (device_type, name)
+);
+
+create index if not exists sensor_data_device_timestamp_idx on sensor_data (device_id, timestamp desc);
+create index if not exists sensor_data_timestamp_idx on sensor_data (timestamp);
+
+-- Rollup sensor_data per jam dan per hari (UTC), diisi retention job (retention.js).
+-- Raw disimpan RETENTION_RAW_DAYS, hourly RETENTION_HOURLY_DAYS, daily RETENTION_DAILY_DAYS (0 = selamanya)
+-- metrics: { temperature: { min, max, avg, count, last, last_at }, ... }
+create table if not exists sensor_data_hourly (
+  device_id text not null,
+  bucket_start timestamptz not null,
+  sample_count integer not null default 0,
+  metrics jsonb not null default '{}'::jsonb,
+  updated_at timestamptz default now(),
+  primary key (device_id, bucket_start)
+);
+
+create index if not exists sensor_data_hourly_bucket_idx on sensor_data_hourly (bucket_start);
+
+create table if not exists sensor_data_daily (
+  device_id text not null,
+  bucket_start timestamptz not null,
+  sample_count integer not null default 0,
+  metrics jsonb not null default '{}'::jsonb,
+  updated_at timestamptz default now(),
+  primary key (device_id, bucket_start)
+);
+
+create index if not exists sensor_data_daily_bucket_idx on sensor_data_daily (bucket_start);
+
+-- Satu log untuk semua command actuator (servo, water, ...)
+-- Lifecycle: sent -> acknowledged -> completed/failed, atau timeout
+create table if not exists commands (
+  id bigserial primary key,
+  command_id uuid unique not null,
+  device_id text not null,
+  type text not null,
+  payload jsonb default '{}'::jsonb,
+  command_by text,
+  source text default 'api',
+  status text default 'queued',
+  -- Group command (command_batches)
+  batch_id uuid,
+  -- X-Request-Id dari HTTP request yang membuat command
+  request_id text,
+  error_message text,
+  expires_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz,
+  published_at timestamptz,
+  acknowledged_at timestamptz,
+  completed_at timestamptz
+);
+
+create index if not exists commands_device_created_idx on commands (device_id, created_at desc);
+-- Database yang sudah ada: kolom yang ditambahkan setelah tabel dibuat
+alter table commands add column if not exists expires_at timestamptz;
+alter table commands add column if not exists published_at timestamptz;
+alter table commands alter column status set default 'queued';
+alter table commands add column if not exists batch_id uuid;
+alter table commands add column if not exists request_id text;
+
+-- Antrian outbound: command queued dibaca urut created_at saat reconnect
+create index if not exists commands_status_created_idx on commands (status, created_at);
+
+-- Migrasi dari tabel servo_commands lama:
+-- insert into commands (command_id, device_id, type, payload, command_by, source, status, created_at)
+-- select gen_random_uuid(), device_id, 'servo',
+--        jsonb_build_object('target_angle', target_angle, 'final_angle', final_angle),
+--        command_by, 'api', status, created_at
+-- from servo_commands;
+
+-- Automation rules, dievaluasi untuk setiap sensor reading
+create table if not exists automation_rules (
+  id bigserial primary key,
+  rule_id uuid unique not null,
+  name text not null,
+  device_id text,
+  enabled boolean default true,
+  match text default 'all',
+  conditions jsonb not null,
+  actions jsonb not null,
+  hysteresis double precision default 0,
+  cooldown_seconds integer default 0,
+  state jsonb default '{}'::jsonb,
+  -- Naik setiap perubahan state, untuk conditional update (lihat automation-engine.js)
+  state_version integer default 0,
+  last_triggered_at timestamptz,
+  created_by text,
+  created_at timestamptz default now(),
+  updated_at timestamptz
+);
+
+alter table automation_rules add column if not exists created_by text;
+alter table automation_rules add column if not exists state_version integer default 0;
+
+create table if not exists rule_executions (
+  id bigserial primary key,
+  rule_id uuid not null,
+  device_id text,
+  reading jsonb,
+  actions jsonb,
+  created_at timestamptz default now()
+);
+
+-- Scheduled / recurring actuator commands
+create table if not exists schedules (
+  id bigserial primary key,
+  schedule_id uuid unique not null,
+  name text not null,
+  device_id text not null,
+  cron text,
+  interval_seconds integer,
+  start_at timestamptz,
+  action jsonb not null,
+  duration_seconds integer,
+  revert_action jsonb,
+  paused boolean default false,
+  skip_next boolean default false,
+  next_run_at timestamptz,
+  last_run_at timestamptz,
+  created_by text,
+  created_at timestamptz default now(),
+  updated_at timestamptz
+);
+
+alter table schedules add column if not exists created_by text;
+
+create table if not exists schedule_executions (
+  id bigserial primary key,
+  schedule_id uuid not null,
+  device_id text,
+  scheduled_for timestamptz,
+  action jsonb,
+  status text,
+  command_id uuid,
+  error_message text,
+  revert_action jsonb,
+  revert_at timestamptz,
+  revert_status text,
+  revert_command_id uuid,
+  reverted_at timestamptz,
+  created_at timestamptz default now()
+);
+
+-- Transisi online/offline device
+create table if not exists device_events (
+  id bigserial primary key,
+  device_id text not null,
+  event text not null,
+  reason text,
+  previous_duration_seconds integer,
+  created_at timestamptz default now()
+);
+
+create index if not exists device_events_device_created_idx on device_events (device_id, created_at desc);
+
+-- Dead-letter untuk sensor message yang tidak lolos validasi schema
+create table if not exists ingest_errors (
+  id bigserial primary key,
+  device_id text,
+  topic text,
+  reason text not null,
+  field text,
+  message text,
+  payload text,
+  -- Sama dengan correlation_id di log ingest
+  correlation_id text,
+  created_at timestamptz default now()
+);
+
+alter table ingest_errors add column if not exists correlation_id text;
+
+create index if not exists ingest_errors_device_created_idx on ingest_errors (device_id, created_at desc);
+
+-- Token per device untuk POST /api/ingest (hanya sha256 yang disimpan)
+create table if not exists device_tokens (
+  id bigserial primary key,
+  token_id uuid not null unique,
+  device_id text not null,
+  token_hash text not null unique,
+  name text,
+  created_by text,
+  created_at timestamptz default now(),
+  last_used_at timestamptz
+);
+
+create index if not exists device_tokens_device_idx on device_tokens (device_id);
+
+-- Threshold alert (device_id null = semua device)
+create table if not exists alert_thresholds (
+  id bigserial primary key,
+  threshold_id uuid not null unique,
+  name text not null,
+  device_id text,
+  enabled boolean default true,
+  metric text not null,
+  operator text not null,
+  value double precision not null,
+  severity text default 'warning',
+  duration_seconds integer default 0,
+  renotify_minutes integer default 60,
+  channels jsonb,
+  state jsonb default '{}'::jsonb,
+  state_version integer default 0,
+  created_by text,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+alter table alert_thresholds add column if not exists state_version integer default 0;
+
+-- Alert yang dibuka dari threshold atau device offline, dedup per dedup_key
+create table if not exists alerts (
+  id bigserial primary key,
+  alert_id uuid not null unique,
+  dedup_key text not null,
+  type text not null,
+  threshold_id uuid,
+  device_id text,
+  severity text not null,
+  message text,
+  value double precision,
+  status text not null default 'open',
+  opened_at timestamptz not null,
+  acknowledged_at timestamptz,
+  acknowledged_by text,
+  note text,
+  resolved_at timestamptz,
+  last_notified_at timestamptz,
+  notify_count integer default 0,
+  last_notification jsonb,
+  renotify_minutes integer,
+  channels jsonb,
+  created_at timestamptz default now()
+);
+
+create index if not exists alerts_dedup_status_idx on alerts (dedup_key, status);
+create index if not exists alerts_device_opened_idx on alerts (device_id, opened_at desc);
+
+-- Device shadow: desired (command terakhir yang ter-publish) vs reported state
+create table if not exists device_shadows (
+  id bigserial primary key,
+  device_id text not null unique,
+  -- { servo_state, water_state }
+  desired jsonb default '{}'::jsonb,
+  desired_updated_at timestamptz,
+  desired_command_id uuid,
+  reported jsonb default '{}'::jsonb,
+  reported_at timestamptz,
+  last_sync_at timestamptz,
+  last_reconcile_at timestamptz,
+  last_reconcile_error text,
+  reconcile_count integer default 0,
+  created_at timestamptz default now(),
+  updated_at timestamptz
+);
+
+-- Device group untuk bulk control dan data gabungan
+create table if not exists device_groups (
+  id bigserial primary key,
+  group_id uuid not null unique,
+  name text not null,
+  description text,
+  device_ids jsonb not null default '[]'::jsonb,
+  created_by text,
+  created_at timestamptz default now(),
+  updated_at timestamptz
+);
+
+-- Satu group command = satu batch, command per device punya batch_id yang sama
+create table if not exists command_batches (
+  id bigserial primary key,
+  batch_id uuid not null unique,
+  group_id uuid,
+  type text not null,
+  payload jsonb,
+  command_by text,
+  source text,
+  atomic boolean default true,
+  -- published, queued, partial, rejected, failed
+  status text not null,
+  device_count integer,
+  -- [{ device_id, status, command_id, reason, error }]
+  results jsonb,
+  created_at timestamptz default now()
+);
+
+create index if not exists command_batches_group_created_idx on command_batches (group_id, created_at desc);
@@ -0,0 +1,195 @@
+// Schema payload sensor dari topic sensor/<device_id>/data.
+// Payload boleh menyertakan schema_version, default versi 1.
+//
+// Per field:
+//   type      number | integer | boolean (string angka/boolean di-coerce)
+//   min/max   valid range
+//   onInvalid 'reject' = seluruh message masuk dead-letter,
+//             'drop'   = field dibuang (null/default), message tetap disimpan
+//
+// Field di luar schema hanya disimpan kalau dideklarasikan di metric registry
+// (lihat metric-registry.js), sisanya dibuang dengan warning unknown_metric.
+//
+// timestamp (ISO string atau epoch detik/milidetik) dari device dipakai kalau
+// tidak lebih dari INGEST_MAX_CLOCK_SKEW_SECONDS di masa depan dan tidak lebih
+// tua dari INGEST_MAX_BACKFILL_HOURS. Di luar itu pakai waktu terima + warning.
+
+const CURRENT_SCHEMA_VERSION = 1;
+
+const SCHEMAS = {
+  1: {
+    fields: {
+      temperature: { type: 'number', min: -40, max: 85, onInvalid: 'reject' },
+      humidity: { type: 'number', min: 0, max: 100, onInvalid: 'reject' },
+      pressure: { type: 'number', min: 300, max: 1100, onInvalid: 'drop' },
+      servo_state: { type: 'integer', min: 0, max: 180, default: 0, onInvalid: 'drop' },
+      water_state: { type: 'boolean', default: false, onInvalid: 'drop' }
+    }
+  }
+};
+
+// Field payload yang bukan metric
+const ENVELOPE_FIELDS = ['device_id', 'schema_version', 'timestamp'];
+
+const MAX_CLOCK_SKEW_MS = (process.env.INGEST_MAX_CLOCK_SKEW_SECONDS !== undefined
+  ? parseInt(process.env.INGEST_MAX_CLOCK_SKEW_SECONDS)
+  : 300) * 1000;
+const MAX_BACKFILL_MS = (parseInt(process.env.INGEST_MAX_BACKFILL_HOURS) || 7 * 24) * 60 * 60 * 1000;
+
+const ERROR_REASONS = [
+  'invalid_json',
+  'unsupported_version',
+  'missing_device_id',
+  'device_id_mismatch',
+  'invalid_type',
+  'out_of_range',
+  'no_readings',
+  'batch_too_large'
+];
+
+class SensorValidationError extends Error {
+  constructor(reason, message, field = null) {
+    super(message);
+    this.name = 'SensorValidationError';
+    this.reason = reason;
+    this.field = field;
+  }
+}
+
+function coerce(value, type) {
+  if (type === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    if (value === 1 || value === '1' || value === 'true' || value === 'on') return true;
+    if (value === 0 || value === '0' || value === 'false' || value === 'off') return false;
+    return undefined;
+  }
+
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !isFinite(number)) return undefined;
+  if (type === 'integer') return Math.round(number);
+  return number;
+}
+
+function validateField(field, value, spec) {
+  const coerced = coerce(value, spec.type);
+
+  if (coerced === undefined) {
+    return { reason: 'invalid_type', message: `${field} must be ${spec.type}, got ${JSON.stringify(value)}` };
+  }
+  if ((spec.min !== undefined && coerced < spec.min) || (spec.max !== undefined && coerced > spec.max)) {
+    return { reason: 'out_of_range', message: `${field} ${coerced} outside ${spec.min}..${spec.max}` };
+  }
+  return { value: coerced };
+}
+
+// Timestamp device -> { time } (ms), atau { warning } kalau tidak bisa dipakai
+function parseTimestamp(value, now) {
+  let time;
+  if (typeof value === 'number' && isFinite(value)) {
+    // Epoch detik dari Pi (time.time()), atau milidetik
+    time = value < 1e11 ? value * 1000 : value;
+  } else if (typeof value === 'string' && value.trim() !== '') {
+    time = Date.parse(value);
+  }
+
+  if (time === undefined || isNaN(time)) {
+    return { warning: { field: 'timestamp', reason: 'invalid_timestamp', message: `timestamp ${JSON.stringify(value)} is not a valid time, using receive time` } };
+  }
+  if (time - now > MAX_CLOCK_SKEW_MS || now - time > MAX_BACKFILL_MS) {
+    return { warning: { field: 'timestamp', reason: 'clock_skew', message: `timestamp ${new Date(time).toISOString()} outside the accepted window, using receive time` } };
+  }
+  return { time: Math.round(time) };
+}
+
+// Validate dan normalize payload. topicDeviceId = <device_id> dari topic.
+// metrics = field spec tambahan dari metric registry ({ name: spec }).
+// Returns { reading, warnings, version, fields, deviceTimestamp }, throws
+// SensorValidationError. fields = field yang valid dan benar-benar ada di
+// payload (bukan default), deviceTimestamp = reading.timestamp dari device
+function validateSensorPayload(topicDeviceId, payload, { metrics = {}, now = Date.now() } = {}) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new SensorValidationError('invalid_json', 'Payload must be a JSON object');
+  }
+
+  const version = payload.schema_version === undefined ? CURRENT_SCHEMA_VERSION : Number(payload.schema_version);
+  const schema = SCHEMAS[version];
+  if (!schema) {
+    throw new SensorValidationError('unsupported_version', `Unsupported schema_version: ${payload.schema_version}`);
+  }
+
+  // device_id boleh kosong (pakai id dari topic), tapi tidak boleh beda
+  const deviceId = payload.device_id === undefined || payload.device_id === null ? topicDeviceId : String(payload.device_id);
+  if (!deviceId) {
+    throw new SensorValidationError('missing_device_id', 'device_id missing from payload and topic', 'device_id');
+  }
+  if (topicDeviceId && deviceId !== topicDeviceId) {
+    throw new SensorValidationError(
+      'device_id_mismatch',
+      `Payload device_id ${deviceId} does not match topic device ${topicDeviceId}`,
+      'device_id'
+    );
+  }
+
+  const reading = { device_id: deviceId, timestamp: new Date(now).toISOString() };
+  const warnings = [];
+  const fields = [];
+
+  let deviceTimestamp = false;
+  if (payload.timestamp !== undefined && payload.timestamp !== null) {
+    const { time, warning } = parseTimestamp(payload.timestamp, now);
+    if (warning) {
+      warnings.push(warning);
+    } else {
+      reading.timestamp = new Date(time).toISOString();
+      deviceTimestamp = true;
+    }
+  }
+
+  const specs = { ...metrics, ...schema.fields };
+  for (const [field, spec] of Object.entries(specs)) {
+    const value = payload[field];
+
+    if (value === undefined || value === null) {
+      // Metric tambahan yang tidak dikirim tidak disimpan sama sekali
+      if (schema.fields[field]) {
+        reading[field] = spec.default !== undefined ? spec.default : null;
+      }
+      continue;
+    }
+
+    const result = validateField(field, value, spec);
+    if (result.reason) {
+      if (spec.onInvalid === 'reject') {
+        throw new SensorValidationError(result.reason, result.message, field);
+      }
+      warnings.push({ field, reason: result.reason, message: result.message });
+      if (schema.fields[field]) {
+        reading[field] = spec.default !== undefined ? spec.default : null;
+      }
+      continue;
+    }
+
+    reading[field] = result.value;
+    fields.push(field);
+  }
+
+  for (const field of Object.keys(payload)) {
+    if (!specs[field] && !ENVELOPE_FIELDS.includes(field)) {
+      warnings.push({ field, reason: 'unknown_metric', message: `${field} is not a registered metric` });
+    }
+  }
+
+  if (fields.length === 0) {
+    throw new SensorValidationError('no_readings', 'Payload contains no valid sensor readings');
+  }
+
+  return { reading, warnings, version, fields, deviceTimestamp };
+}
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  SCHEMAS,
+  ERROR_REASONS,
+  SensorValidationError,
+  validateSensorPayload
+};
@@ -1,177 +1,75 @@
-const express = require('express');
-const cors = require('cors');
-require('dotenv').config();
+// .env untuk development lokal (opsional)
+try {
+  require('dotenv').config();
+} catch (error) {
+  // dotenv tidak terpasang, env dari process
+}
 
-const { 
-  initDatabase, 
-  getLatestSensorData, 
-  getSensorHistory, 
-  getDevices,
-  getAllDevicesLatestData,
-  saveServoCommand 
-} = require('./database');
+const { createApp } = require('./app');
 const MqttHandler = require('./mqtt-handler');
+const { loadMqttConfig } = require('./mqtt-config');
+const { initDatabase, enableLatestReadingCache, getStorage, flushStorage } = require('./database');
+const { logger } = require('./logger');
 
-const app = express();
-const PORT = process.env.PORT || 3000;
+const log = logger.child({ module: 'server' });
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static('public'));
+const PORT = process.env.PORT || 3000;
 
 // Initialize MQTT
-const mqttHandler = new MqttHandler();
-
-// ==================== API ROUTES ====================
-
-// Health check
-app.get('/', (req, res) => {
-  res.json({
-    message: '🚀 IoT Backend Server with Supabase is Running!',
-    status: 'active',
-    database: 'Supabase PostgreSQL',
-    timestamp: new Date().toISOString(),
-    endpoints: {
-      devices: '/api/devices',
-      data: '/api/data',
-      history: '/api/history/:deviceId',
-      control: {
-        servo: '/api/control/servo',
-        water: '/api/control/water'
-      }
-    }
-  });
-});
-
-// Get all devices
-app.get('/api/devices', async (req, res) => {
-  try {
-    const devices = await getDevices();
-    res.json({
-      devices: devices,
-      count: devices.length,
-      status: 'success'
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Get latest sensor data (all devices or specific device)
-app.get('/api/data', async (req, res) => {
-  try {
-    const deviceId = req.query.device_id;
-    let data;
-    
-    if (deviceId) {
-      data = await getLatestSensorData(deviceId);
-    } else {
-      data = await getAllDevicesLatestData();
-    }
-    
-    res.json({
-      data: data,
-      status: 'success'
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Get sensor history for specific device
-app.get('/api/history/:deviceId', async (req, res) => {
-  try {
-    const { deviceId } = req.params;
-    const limit = parseInt(req.query.limit) || 50;
-    
-    const history = await getSensorHistory(deviceId, limit);
-    res.json({
-      device_id: deviceId,
-      history: history,
-      count: history.length,
-      status: 'success'
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Control servo
-app.post('/api/control/servo', async (req, res) => {
-  try {
-    const { device_id, angle, command_by } = req.body;
-    
-    if (!device_id || angle === undefined) {
-      return res.status(400).json({ error: 'Device ID and angle are required' });
-    }
-    
-    // Save command to database
-    await saveServoCommand({
-      device_id,
-      target_angle: angle,
-      final_angle: angle,
-      command_by: command_by || 'web_api',
-      status: 'sent'
-    });
-    
-    // Publish to MQTT
-    mqttHandler.publishServoCommand(device_id, angle, command_by || 'web_api');
-    
-    res.json({
-      status: 'success',
-      message: `Servo command sent to ${device_id}: ${angle}°`,
-      device_id: device_id,
-      angle: angle
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Control water
-app.post('/api/control/water', (req, res) => {
-  try {
-    const { device_id, state, command_by } = req.body;
-    
-    if (!device_id || state === undefined) {
-      return res.status(400).json({ error: 'Device ID and state are required' });
-    }
-    
-    mqttHandler.publishWaterCommand(device_id, state, command_by || 'web_api');
-    
-    res.json({
-      status: 'success',
-      message: `Water command sent to ${device_id}: ${state}`,
-      device_id: device_id,
-      water_state: state
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+// Server jalan terus, MQTT_MODE tidak dipakai di sini
+const mqttHandler = new MqttHandler(loadMqttConfig({ ...process.env, MQTT_MODE: 'persistent' }));
+const app = createApp({ mqtt: mqttHandler, config: { deployment: 'server' } });
 
 // ==================== SERVER STARTUP ====================
 
 async function startServer() {
   try {
+    const { scheduler, watchdog, retention } = app.locals.services;
+
     // Initialize database
     await initDatabase();
+    await enableLatestReadingCache();
     
     // Start MQTT handler
     mqttHandler.connect();
     
+    // Start scheduler, device watchdog, alert re-notify dan retention
+    scheduler.start();
+    watchdog.start();
+    mqttHandler.alertManager.start();
+    retention.start();
+    
     // Start HTTP server
     app.listen(PORT, () => {
-      console.log(`🚀 Server running on port ${PORT}`);
-      console.log(`📊 API: http://localhost:${PORT}`);
-      console.log(`🔄 Database: Supabase`);
-      console.log(`📡 MQTT: ${process.env.MQTT_BROKER}`);
+      log.info('Server running', {
+        port: Number(PORT),
+        api: `http://localhost:${PORT}`,
+        storage: getStorage().name,
+        mqtt: mqttHandler.host
+      });
     });
   } catch (error) {
-    console.error('❌ Failed to start server:', error);
+    log.error('Failed to start server', { err: error });
     process.exit(1);
   }
 }
 
-startServer();
\ No newline at end of file
+// Ctrl+C / docker stop: hentikan job lalu flush storage sebelum exit,
+// supaya write yang masih di-debounce file adapter tidak hilang
+function shutdown(signal) {
+  log.info('Shutting down', { signal });
+
+  const { scheduler, watchdog, retention } = app.locals.services;
+  scheduler.stop();
+  watchdog.stop();
+  mqttHandler.alertManager.stop();
+  retention.stop();
+
+  flushStorage();
+  process.exit(0);
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+startServer();
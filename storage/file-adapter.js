@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'storage' });
+
+const SAVE_DELAY_MS = 200;
+
+// Kolom timestamp yang diisi otomatis, sama seperti default now() di schema.sql
+const TIMESTAMP_DEFAULTS = {
+  sensor_data: 'timestamp'
+};
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    const dateA = Date.parse(a);
+    const dateB = Date.parse(b);
+    if (!isNaN(dateA) && !isNaN(dateB) && isNaN(Number(a)) && isNaN(Number(b))) {
+      return dateA - dateB;
+    }
+  }
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+}
+
+const OPERATORS = {
+  eq: (value, expected) => value === expected,
+  neq: (value, expected) => value !== expected,
+  gt: (value, expected) => value !== null && value !== undefined && compareValues(value, expected) > 0,
+  gte: (value, expected) => value !== null && value !== undefined && compareValues(value, expected) >= 0,
+  lt: (value, expected) => value !== null && value !== undefined && compareValues(value, expected) < 0,
+  lte: (value, expected) => value !== null && value !== undefined && compareValues(value, expected) <= 0,
+  in: (value, expected) => expected.includes(value),
+  is: (value, expected) => (expected === null ? value === null || value === undefined : value === expected)
+};
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([column, condition]) => {
+    const value = row[column];
+
+    if (condition === null) {
+      return OPERATORS.is(value, null);
+    }
+    if (typeof condition !== 'object' || Array.isArray(condition)) {
+      return OPERATORS.eq(value, condition);
+    }
+
+    return Object.entries(condition).every(([operator, expected]) => {
+      if (!OPERATORS[operator]) {
+        throw new Error(`Unsupported operator: ${operator}`);
+      }
+      return OPERATORS[operator](value, expected);
+    });
+  });
+}
+
+// Storage adapter untuk demo/offline mode: semua tabel disimpan di satu file JSON.
+// Tanpa filePath, data hanya disimpan di memory (berguna untuk test).
+class FileAdapter {
+  constructor({ filePath = null } = {}) {
+    this.name = filePath ? 'file' : 'memory';
+    this.filePath = filePath;
+    this.state = { tables: {}, sequences: {} };
+    this.saveTimer = null;
+  }
+
+  async init() {
+    if (!this.filePath) {
+      log.info('Using in-memory storage');
+      return;
+    }
+
+    if (fs.existsSync(this.filePath)) {
+      this.state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      log.info('Local storage loaded', { path: this.filePath });
+    } else {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.saveNow();
+      log.info('Local storage created', { path: this.filePath });
+    }
+
+    // Pastikan perubahan terakhir tidak hilang saat process berhenti.
+    // SIGINT/SIGTERM tidak memicu 'exit', server.js memanggil flush() sendiri
+    process.on('exit', () => this.flush());
+  }
+
+  table(name) {
+    if (!this.state.tables[name]) {
+      this.state.tables[name] = [];
+      this.state.sequences[name] = 0;
+    }
+    return this.state.tables[name];
+  }
+
+  nextId(name) {
+    this.state.sequences[name] = (this.state.sequences[name] || 0) + 1;
+    return this.state.sequences[name];
+  }
+
+  prepareRow(name, row) {
+    const now = new Date().toISOString();
+    const timestampColumn = TIMESTAMP_DEFAULTS[name] || 'created_at';
+    const prepared = {
+      id: this.nextId(name),
+      [timestampColumn]: now,
+      ...row
+    };
+
+    // Kolom kosong jadi null, sama seperti yang dikembalikan Postgres
+    for (const column of Object.keys(prepared)) {
+      if (prepared[column] === undefined) prepared[column] = null;
+    }
+    return prepared;
+  }
+
+  async insert(name, rows) {
+    const table = this.table(name);
+    const inserted = rows.map((row) => this.prepareRow(name, row));
+
+    table.push(...inserted);
+    this.scheduleSave();
+    return structuredClone(inserted);
+  }
+
+  async upsert(name, rows, options = {}) {
+    const table = this.table(name);
+    // onConflict bisa composite, contoh 'device_id,bucket_start'
+    const keys = (options.onConflict || 'id').split(',').map((key) => key.trim());
+    const result = [];
+
+    for (const row of rows) {
+      const index = table.findIndex((existing) => keys.every((key) => existing[key] === row[key]));
+      if (index >= 0) {
+        table[index] = { ...table[index], ...row };
+        result.push(table[index]);
+      } else {
+        const inserted = this.prepareRow(name, row);
+        table.push(inserted);
+        result.push(inserted);
+      }
+    }
+
+    this.scheduleSave();
+    return structuredClone(result);
+  }
+
+  async select(name, query = {}) {
+    let rows = this.table(name).filter((row) => matches(row, query.where));
+
+    if (query.orderBy) {
+      const direction = query.ascending === false ? -1 : 1;
+      rows = [...rows].sort((a, b) => direction * compareValues(a[query.orderBy], b[query.orderBy]));
+    }
+
+    const offset = query.offset || 0;
+    const end = query.limit !== undefined ? offset + query.limit : undefined;
+    return structuredClone(rows.slice(offset, end));
+  }
+
+  async update(name, query, patch) {
+    const updated = [];
+
+    for (const row of this.table(name)) {
+      if (matches(row, query.where)) {
+        Object.assign(row, patch);
+        updated.push(row);
+      }
+    }
+
+    if (updated.length > 0) this.scheduleSave();
+    return structuredClone(updated);
+  }
+
+  async remove(name, query) {
+    const table = this.table(name);
+    const removed = table.filter((row) => matches(row, query.where));
+
+    this.state.tables[name] = table.filter((row) => !matches(row, query.where));
+    if (removed.length > 0) this.scheduleSave();
+    return removed;
+  }
+
+  scheduleSave() {
+    if (!this.filePath || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+    if (this.saveTimer.unref) this.saveTimer.unref();
+  }
+
+  flush() {
+    if (!this.filePath || !this.saveTimer) return;
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.saveNow();
+  }
+
+  saveNow() {
+    // Tulis ke file sementara dulu supaya file tidak korup kalau process mati di tengah jalan
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.state));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = FileAdapter;
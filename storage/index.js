@@ -0,0 +1,47 @@
+const path = require('path');
+const SupabaseAdapter = require('./supabase-adapter');
+const FileAdapter = require('./file-adapter');
+
+// Storage adapter interface (semua method async):
+//   init()
+//   flush()                                -> tulis perubahan tertunda secara sinkron (shutdown)
+//   insert(table, rows)                    -> inserted rows
+//   upsert(table, rows, { onConflict })    -> upserted rows
+//   select(table, { where, orderBy, ascending, limit, offset }) -> rows
+//   update(table, { where }, patch)        -> updated rows
+//   remove(table, { where })               -> removed rows
+//
+// `where` berisi { column: value } untuk eq, atau
+// { column: { eq, neq, gt, gte, lt, lte, in, is } }
+
+function defaultFilePath() {
+  // Di Vercel hanya /tmp yang bisa ditulis
+  const baseDir = process.env.VERCEL ? '/tmp' : process.cwd();
+  return path.join(baseDir, 'data', 'iot-local.json');
+}
+
+function createStorage(options = {}) {
+  const supabaseUrl = options.supabaseUrl || process.env.SUPABASE_URL;
+  const supabaseKey = options.supabaseKey || process.env.SUPABASE_KEY;
+  const driver = options.driver || process.env.STORAGE_DRIVER || (supabaseUrl && supabaseKey ? 'supabase' : 'file');
+
+  switch (driver) {
+    case 'supabase':
+      if (!supabaseUrl || !supabaseKey) {
+        throw new Error('SUPABASE_URL and SUPABASE_KEY are required for the supabase storage driver');
+      }
+      return new SupabaseAdapter({ url: supabaseUrl, key: supabaseKey });
+    case 'file':
+      return new FileAdapter({ filePath: options.filePath || process.env.LOCAL_DB_PATH || defaultFilePath() });
+    case 'memory':
+      return new FileAdapter();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  SupabaseAdapter,
+  FileAdapter
+};
@@ -0,0 +1,119 @@
+const { createClient } = require('@supabase/supabase-js');
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'storage' });
+
+// Supabase membatasi satu select maksimal 1000 row
+const PAGE_SIZE = 1000;
+
+// Apply a storage query `where` object to a supabase query builder.
+// Plain value = eq, object value = { eq, neq, gt, gte, lt, lte, in, is }
+function applyWhere(builder, where = {}) {
+  for (const [column, condition] of Object.entries(where)) {
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      builder = condition === null ? builder.is(column, null) : builder.eq(column, condition);
+      continue;
+    }
+
+    for (const [operator, value] of Object.entries(condition)) {
+      if (operator === 'in') {
+        builder = builder.in(column, value);
+      } else {
+        builder = builder[operator](column, value);
+      }
+    }
+  }
+  return builder;
+}
+
+function applyOrder(builder, query) {
+  if (query.orderBy) {
+    builder = builder.order(query.orderBy, { ascending: query.ascending !== false });
+  }
+  return builder;
+}
+
+class SupabaseAdapter {
+  constructor({ url, key }) {
+    this.name = 'supabase';
+    this.client = createClient(url, key);
+  }
+
+  async init() {
+    const { error } = await this.client
+      .from('devices')
+      .select('*')
+      .limit(1);
+
+    if (error) {
+      log.warn('Please create tables in Supabase SQL Editor (see schema.sql)', { err: error });
+    } else {
+      log.info('Database connection successful');
+    }
+  }
+
+  // Setiap operasi langsung ke Supabase, tidak ada write tertunda
+  flush() {}
+
+  async insert(table, rows) {
+    const { data, error } = await this.client
+      .from(table)
+      .insert(rows)
+      .select();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async upsert(table, rows, options = {}) {
+    const { data, error } = await this.client
+      .from(table)
+      .upsert(rows, { onConflict: options.onConflict })
+      .select();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async select(table, query = {}) {
+    const offset = query.offset || 0;
+
+    if (query.limit !== undefined) {
+      let builder = applyOrder(applyWhere(this.client.from(table).select('*'), query.where), query);
+      const { data, error } = await builder.range(offset, offset + query.limit - 1);
+
+      if (error) throw new Error(error.message);
+      return data;
+    }
+
+    // Tanpa limit: ambil semua halaman
+    const rows = [];
+    for (let from = offset; ; from += PAGE_SIZE) {
+      let builder = applyOrder(applyWhere(this.client.from(table).select('*'), query.where), query);
+      const { data, error } = await builder.range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw new Error(error.message);
+      rows.push(...data);
+      if (data.length < PAGE_SIZE) break;
+    }
+    return rows;
+  }
+
+  async update(table, query, patch) {
+    const { data, error } = await applyWhere(this.client.from(table).update(patch), query.where)
+      .select();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async remove(table, query) {
+    const { data, error } = await applyWhere(this.client.from(table).delete(), query.where)
+      .select();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+}
+
+module.exports = SupabaseAdapter;
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, tokenFor } = require('./helpers');
+const database = require('../database');
+
+// Admin tanpa batas device vs admin/viewer yang hanya boleh pi-1
+const admin = tokenFor('admin');
+const scopedAdmin = tokenFor('admin', ['pi-1']);
+const scopedViewer = tokenFor('viewer', ['pi-1']);
+
+test('device scope', async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+
+  for (const deviceId of ['pi-1', 'pi-2']) {
+    const { status } = await app.request('POST', `/api/devices/${deviceId}`, { token: admin, body: {} });
+    assert.strictEqual(status, 201);
+  }
+
+  await t.test('rejects requests without credentials', async () => {
+    const { status } = await app.request('GET', '/api/devices');
+    assert.strictEqual(status, 401);
+  });
+
+  await t.test('viewer cannot send commands', async () => {
+    const { status } = await app.request('POST', '/api/control/water', {
+      token: tokenFor('viewer'),
+      body: { device_id: 'pi-1', state: true }
+    });
+    assert.strictEqual(status, 403);
+  });
+
+  await t.test('device list only contains accessible devices', async () => {
+    const { body } = await app.request('GET', '/api/devices', { token: scopedViewer });
+    assert.deepStrictEqual(body.devices.map((device) => device.device_id), ['pi-1']);
+
+    const { status } = await app.request('GET', '/api/devices/pi-2', { token: scopedViewer });
+    assert.strictEqual(status, 403);
+  });
+
+  await t.test('groups cannot include or expose out-of-scope devices', async () => {
+    const denied = await app.request('POST', '/api/groups', {
+      token: scopedAdmin,
+      body: { name: 'roof', device_ids: ['pi-1', 'pi-2'] }
+    });
+    assert.strictEqual(denied.status, 403);
+
+    const { body } = await app.request('POST', '/api/groups', {
+      token: admin,
+      body: { name: 'roof', device_ids: ['pi-1', 'pi-2'] }
+    });
+    const groupId = body.group.group_id;
+
+    const get = await app.request('GET', `/api/groups/${groupId}`, { token: scopedViewer });
+    assert.deepStrictEqual(get.body.group.device_ids, ['pi-1']);
+
+    const list = await app.request('GET', '/api/groups', { token: scopedViewer });
+    assert.strictEqual(list.body.count, 0);
+
+    const patch = await app.request('PATCH', `/api/groups/${groupId}`, { token: scopedAdmin, body: { name: 'x' } });
+    assert.strictEqual(patch.status, 403);
+
+    const remove = await app.request('DELETE', `/api/groups/${groupId}`, { token: scopedAdmin });
+    assert.strictEqual(remove.status, 403);
+  });
+
+  await t.test('command history applies the scope before limit', async () => {
+    await database.saveWaterCommand({ device_id: 'pi-1', state: true, command_by: 'test' });
+    for (let i = 0; i < 3; i++) {
+      await database.saveWaterCommand({ device_id: 'pi-2', state: true, command_by: 'test' });
+    }
+
+    const { body } = await app.request('GET', '/api/commands?limit=2', { token: scopedViewer });
+    assert.deepStrictEqual(body.commands.map((command) => command.device_id), ['pi-1']);
+  });
+
+  await t.test('ingest errors are scoped, including counts', async () => {
+    await database.saveIngestError({ device_id: 'pi-1', reason: 'invalid_json', message: 'bad' });
+    await database.saveIngestError({ device_id: 'pi-2', reason: 'invalid_json', message: 'bad' });
+
+    const { body } = await app.request('GET', '/api/ingest/errors', { token: scopedAdmin });
+    assert.deepStrictEqual(body.errors.map((error) => error.device_id), ['pi-1']);
+    assert.deepStrictEqual(Object.keys(body.counts.by_device), ['pi-1']);
+  });
+
+  await t.test('rules on other devices are hidden, including executions', async () => {
+    const { body } = await app.request('POST', '/api/rules', {
+      token: admin,
+      body: {
+        name: 'hot',
+        device_id: 'pi-2',
+        conditions: [{ metric: 'temperature', operator: '>', value: 30 }],
+        actions: [{ type: 'water', state: true }]
+      }
+    });
+    const ruleId = body.rule.rule_id;
+
+    for (const path of [`/api/rules/${ruleId}`, `/api/rules/${ruleId}/executions`]) {
+      const { status } = await app.request('GET', path, { token: scopedViewer });
+      assert.strictEqual(status, 404);
+    }
+
+    const list = await app.request('GET', '/api/rules', { token: scopedViewer });
+    assert.strictEqual(list.body.count, 0);
+  });
+
+  await t.test('alert thresholds of other devices are hidden', async () => {
+    const { body } = await app.request('POST', '/api/alerts/thresholds', {
+      token: admin,
+      body: { name: 'hot', device_id: 'pi-2', metric: 'temperature', operator: '>', value: 30 }
+    });
+
+    const list = await app.request('GET', '/api/alerts/thresholds', { token: scopedViewer });
+    assert.strictEqual(list.body.thresholds.length, 0);
+
+    const patch = await app.request('PATCH', `/api/alerts/thresholds/${body.threshold.threshold_id}`, {
+      token: scopedAdmin,
+      body: { value: 40 }
+    });
+    assert.strictEqual(patch.status, 404);
+  });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, tokenFor } = require('./helpers');
+const MqttHandler = require('../mqtt-handler');
+
+const admin = tokenFor('admin');
+
+// MqttHandler dengan client palsu: publish langsung dapat PUBACK
+function createMqttHandler() {
+  const handler = new MqttHandler();
+  handler.published = [];
+  handler.mqttClient = {
+    publish: (topic, message, options, callback) => {
+      handler.published.push({ topic, message: JSON.parse(message) });
+      setImmediate(callback);
+    }
+  };
+  return handler;
+}
+
+test('command lifecycle', async (t) => {
+  const mqtt = createMqttHandler();
+  const app = await startApp({ mqtt });
+  t.after(() => {
+    mqtt.commandTimers.forEach(clearTimeout);
+    return app.close();
+  });
+
+  await app.request('POST', '/api/devices/pi-1', { token: admin, body: { capabilities: { servo: true, water: true } } });
+
+  await t.test('publishes, then completes on device ack', async () => {
+    mqtt.isConnected = true;
+    const sent = await app.request('POST', '/api/control/servo', { token: admin, body: { device_id: 'pi-1', angle: 90 } });
+    assert.strictEqual(sent.status, 200);
+    assert.strictEqual(sent.body.command_status, 'published');
+    assert.strictEqual(mqtt.published.at(-1).message.command_id, sent.body.command_id);
+
+    await mqtt.handleCommandAck('pi-1', { command_id: sent.body.command_id, status: 'completed', final_angle: 85 });
+
+    const { body } = await app.request('GET', `/api/commands/${sent.body.command_id}`, { token: admin });
+    assert.strictEqual(body.command.status, 'completed');
+    assert.strictEqual(body.command.payload.final_angle, 85);
+  });
+
+  await t.test('ignores acks from another device', async () => {
+    const sent = await app.request('POST', '/api/control/water', { token: admin, body: { device_id: 'pi-1', state: true } });
+    await mqtt.handleCommandAck('pi-2', { command_id: sent.body.command_id, status: 'completed' });
+
+    const { body } = await app.request('GET', `/api/commands/${sent.body.command_id}`, { token: admin });
+    assert.strictEqual(body.command.status, 'published');
+  });
+
+  await t.test('queues while disconnected and publishes on reconnect', async () => {
+    mqtt.isConnected = false;
+    const sent = await app.request('POST', '/api/control/water', { token: admin, body: { device_id: 'pi-1', state: false } });
+    assert.strictEqual(sent.status, 202);
+    assert.strictEqual(sent.body.command_status, 'queued');
+
+    mqtt.isConnected = true;
+    await mqtt.flushQueue();
+
+    const { body } = await app.request('GET', `/api/commands/${sent.body.command_id}`, { token: admin });
+    assert.strictEqual(body.command.status, 'published');
+  });
+
+  await t.test('rejects commands for unknown devices', async () => {
+    const { status, body } = await app.request('POST', '/api/control/water', { token: admin, body: { device_id: 'nope', state: true } });
+    assert.strictEqual(status, 404);
+    assert.strictEqual(body.reason, 'unknown_device');
+  });
+});
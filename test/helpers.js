@@ -0,0 +1,49 @@
+// Setup bersama untuk test: env harus di-set sebelum module app di-require
+process.env.STORAGE_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'silent';
+process.env.MQTT_BROKER = 'mqtt://127.0.0.1:1';
+process.env.SAFETY_MIN_INTERVAL_SECONDS = '0';
+process.env.SAFETY_INTERLOCKS = '[]';
+
+const { createStorage } = require('../storage');
+const { createApp } = require('../app');
+const { signJwt } = require('../auth');
+
+// App dengan memory storage di port acak. request() mengembalikan { status, body }
+async function startApp({ mqtt = null } = {}) {
+  const app = createApp({ storage: createStorage({ driver: 'memory' }), mqtt, config: { staticDir: null } });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { token = null, body } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    const res = await fetch(base + path, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  return {
+    request,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+// JWT untuk role tertentu, devices = batas device (opsional)
+function tokenFor(role, devices) {
+  return signJwt({ sub: `${role}-test`, role, ...(devices ? { devices } : {}) });
+}
+
+module.exports = {
+  startApp,
+  tokenFor
+};
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApp, tokenFor } = require('./helpers');
+const database = require('../database');
+
+const admin = tokenFor('admin');
+const HOUR_MS = 60 * 60 * 1000;
+
+function rollup(deviceId, bucketStart, values) {
+  const avg = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return {
+    device_id: deviceId,
+    bucket_start: new Date(bucketStart).toISOString(),
+    sample_count: values.length,
+    metrics: {
+      temperature: {
+        min: Math.min(...values),
+        max: Math.max(...values),
+        avg,
+        count: values.length,
+        last: values[values.length - 1],
+        last_at: new Date(bucketStart + HOUR_MS - 1).toISOString()
+      }
+    }
+  };
+}
+
+test('history merges hourly rollups with raw readings', async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+
+  for (const deviceId of ['pi-1', 'pi-2']) {
+    await app.request('POST', `/api/devices/${deviceId}`, { token: admin, body: {} });
+  }
+
+  const hour = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+  await database.saveRollups('hour', [
+    rollup('pi-1', hour - 3 * HOUR_MS, [20, 22, 22, 24]),
+    rollup('pi-2', hour - 3 * HOUR_MS, [30, 30]),
+    rollup('pi-1', hour - 2 * HOUR_MS, [25])
+  ]);
+  // Raw setelah rollup terakhir
+  await database.saveSensorReadings([
+    { device_id: 'pi-1', temperature: 26, timestamp: new Date(hour - 50 * 60 * 1000).toISOString() },
+    { device_id: 'pi-1', temperature: 28, timestamp: new Date(hour - 40 * 60 * 1000).toISOString() }
+  ]);
+
+  const { body: created } = await app.request('POST', '/api/groups', {
+    token: admin,
+    body: { name: 'roof', device_ids: ['pi-1', 'pi-2'] }
+  });
+
+  const from = new Date(hour - 3 * HOUR_MS + 30 * 60 * 1000).toISOString();
+  const { status, body } = await app.request('GET', `/api/groups/${created.group.group_id}/history?bucket=1h&from=${from}`, { token: admin });
+  assert.strictEqual(status, 200);
+
+  const points = body.history.map(({ bucket_start, bucket_end, count, temperature, partial }) => ({
+    bucket_start, bucket_end, count, temperature, partial
+  }));
+  assert.deepStrictEqual(points, [
+    {
+      // Rollup mulai sebelum from: bucket_start tetap, ditandai partial
+      bucket_start: new Date(hour - 3 * HOUR_MS).toISOString(),
+      bucket_end: new Date(hour - 2 * HOUR_MS).toISOString(),
+      count: 6,
+      temperature: (22 * 4 + 30 * 2) / 6,
+      partial: true
+    },
+    {
+      bucket_start: new Date(hour - 2 * HOUR_MS).toISOString(),
+      bucket_end: new Date(hour - HOUR_MS).toISOString(),
+      count: 1,
+      temperature: 25,
+      partial: false
+    },
+    {
+      bucket_start: new Date(hour - HOUR_MS).toISOString(),
+      bucket_end: new Date(hour).toISOString(),
+      count: 2,
+      temperature: 27,
+      partial: false
+    }
+  ]);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { SmtpChannel } = require('../notification-channels');
+
+// SMTP server palsu. extensions = baris EHLO tambahan, commands = yang diterima
+function startSmtpStub({ extensions = [], starttlsReply = '454 TLS not available' } = {}) {
+  const commands = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 stub ESMTP\r\n');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        commands.push(line);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          }
+        } else if (/^EHLO/.test(line)) {
+          socket.write([...extensions.map((extension) => `250-${extension}`), '250 stub'].join('\r\n') + '\r\n');
+        } else if (line === 'STARTTLS') {
+          socket.write(`${starttlsReply}\r\n`);
+        } else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      port: server.address().port,
+      commands,
+      close: () => new Promise((done) => server.close(done))
+    }));
+  });
+}
+
+const notification = {
+  kind: 'opened',
+  alert: {
+    alert_id: 'a-1',
+    device_id: 'pi-1',
+    severity: 'warning',
+    message: 'hot\r\nBcc: attacker@example.com',
+    status: 'open',
+    opened_at: '2026-01-01T00:00:00.000Z',
+    value: 41
+  }
+};
+
+function createChannel(port, options) {
+  return new SmtpChannel({ host: '127.0.0.1', port, from: 'iot@example.com', to: ['ops@example.com'], ...options });
+}
+
+test('fails when STARTTLS is required but not advertised', async (t) => {
+  const stub = await startSmtpStub();
+  t.after(() => stub.close());
+
+  await assert.rejects(createChannel(stub.port, { starttls: true }).send(notification), /does not support STARTTLS/);
+  assert.ok(!stub.commands.some((line) => /^(AUTH|MAIL)/.test(line)));
+});
+
+test('fails when the STARTTLS upgrade is refused', async (t) => {
+  const stub = await startSmtpStub({ extensions: ['STARTTLS', 'AUTH PLAIN'] });
+  t.after(() => stub.close());
+
+  await assert.rejects(createChannel(stub.port, { starttls: true, username: 'user', password: 'pass' }).send(notification));
+  assert.ok(stub.commands.includes('STARTTLS'));
+  assert.ok(!stub.commands.some((line) => line.startsWith('AUTH')));
+});
+
+test('never sends credentials over plaintext', async (t) => {
+  const stub = await startSmtpStub({ extensions: ['AUTH PLAIN'] });
+  t.after(() => stub.close());
+
+  await assert.rejects(
+    createChannel(stub.port, { starttls: false, username: 'user', password: 'pass' }).send(notification),
+    /without TLS/
+  );
+  assert.ok(!stub.commands.some((line) => line.startsWith('AUTH')));
+});
+
+test('delivers without TLS when STARTTLS is disabled and no credentials are set', async (t) => {
+  const stub = await startSmtpStub();
+  t.after(() => stub.close());
+
+  await createChannel(stub.port, { starttls: false }).send(notification);
+
+  assert.ok(stub.commands.includes('MAIL FROM:<iot@example.com>'));
+  assert.ok(stub.commands.includes('RCPT TO:<ops@example.com>'));
+  // CR/LF dari message alert tidak boleh menyisipkan header baru
+  const dataStart = stub.commands.indexOf('DATA') + 1;
+  const headers = stub.commands.slice(dataStart, stub.commands.indexOf('', dataStart));
+  assert.ok(headers.includes('Subject: [WARNING] pi-1: hot Bcc: attacker@example.com'));
+  assert.ok(!headers.some((line) => line.startsWith('Bcc:')));
+});